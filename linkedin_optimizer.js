@@ -6,7 +6,14 @@
 // ============================================================
 // Data Sources: Windsor.ai (LinkedIn campaign data) + HubSpot (qualification outcomes)
 // Outputs: Slack summary, Email report, HTML dashboard, .txt analysis
-// Run: node linkedin_optimizer.js
+// Run: node linkedin_optimizer.js   (--help for date ranges, dry runs and delivery options)
+// Record: LI_FIXTURE_MODE=record node linkedin_optimizer.js   (→ fixtures/YYYY-MM-DD)
+// Replay: LI_FIXTURE_MODE=replay LI_FIXTURE_DIR=fixtures/YYYY-MM-DD node linkedin_optimizer.js
+// Config: linkedin_optimizer.config.json (budget, CPD targets, thresholds, snoozes); LI_CONFIG=<path> to override
+// History: history/linkedin-optimizer-history.jsonl (one snapshot per run); LI_HISTORY_FILE=<path> to override
+// Alerts: history/linkedin-optimizer-alerts.json (open alerts, written by each run); LI_ALERT_STATE_FILE=<path> to override
+// Rules: linkedin_optimizer.rules.json (intelligence and campaign rules); LI_RULES=<path> to override
+// Exports: --format json (schema: linkedin_optimizer.schema.json) and csv (campaigns, channels, disqual reasons)
 // ============================================================
 
 require('dotenv').config();
@@ -14,6 +21,8 @@ const fetch = require('node-fetch');
 const nodemailer = require('nodemailer');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
 
 // ─── CONFIG ────────────────────────────────────────────────────────────────────
 
@@ -27,20 +36,576 @@ const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
 const GITHUB_OWNER = process.env.GITHUB_OWNER;
 const GITHUB_REPO = process.env.GITHUB_REPO_LI || process.env.GITHUB_REPO;
 
-// LinkedIn monthly budget (hardcoded per Agent 6 reference)
-const LI_MONTHLY_BUDGET = 35000;
+// Record/replay of raw API responses: LI_FIXTURE_MODE=record|replay
+const FIXTURE_MODE = (process.env.LI_FIXTURE_MODE || '').toLowerCase();
+const FIXTURE_DIR = process.env.LI_FIXTURE_DIR;
 
-// CPD benchmarks (update based on your historical data)
-const CPD_TARGET = 150;           // Target CPD (qualified) – current is ~$200
-const CPD_BENCHMARK_META = 80;    // Meta CPD reference point
-const CPD_BENCHMARK_TIKTOK = 60;  // TikTok CPD reference
-const CPD_BENCHMARK_GOOGLE = 100; // Google CPD reference
+// Windsor.ai returns a single page of at most this many rows per request
+const WINDSOR_PAGE_SIZE = 5000;
+
+// Per-run metrics snapshots (one JSON object per line), used for dashboard trends
+const HISTORY_FILE = process.env.LI_HISTORY_FILE || path.join(__dirname, 'history', 'linkedin-optimizer-history.jsonl');
+const HISTORY_DAYS = 90;
+
+// Open alerts/warnings carried between runs. Machine-written: snoozes live in the config file.
+const ALERT_STATE_FILE = process.env.LI_ALERT_STATE_FILE || path.join(__dirname, 'history', 'linkedin-optimizer-alerts.json');
+
+// Intelligence and campaign rules, as data (see RULE ENGINE)
+const RULES_FILE = process.env.LI_RULES || path.join(__dirname, 'linkedin_optimizer.rules.json');
+
+// Process exit codes, so schedulers can tell a clean run from one that raised alerts
+const EXIT_CLEAN = 0;
+const EXIT_FAILED = 1;
+const EXIT_ALERTS = 2;
+
+// Version of the --format json export; see linkedin_optimizer.schema.json
+const EXPORT_SCHEMA_VERSION = 1;
+
+// Tunables live in linkedin_optimizer.config.json (or .yaml; LI_CONFIG=<path> to override).
+// Anything the file leaves out falls back to these defaults.
+const CONFIG_PATH = process.env.LI_CONFIG;
+const DEFAULT_CONFIG = {
+  budget: {
+    monthly: 35000,           // LinkedIn monthly budget
+  },
+  cpd: {
+    target: 150,              // Target CPD (qualified) – current is ~$200
+    alertMultiple: 1.5,       // Alert / pause when CPD > target × this
+    warnMultiple: 1.2,        // Warn / reduce when CPD > target × this
+    overrides: [],            // [{ campaign: "Exact Name", target: 200 }, { pattern: "^Retarget", target: 120 }]
+  },
+  thresholds: {
+    disqualAlert: 0.45,       // Alert if disqual rate > 45%
+    disqualWarn: 0.35,        // Warn if disqual rate > 35%
+    disqualWin: 0.25,         // Win if disqual rate < 25%
+    ctrWarn: 0.005,           // 0.5% CTR warn for LinkedIn
+    ctrStrong: 0.008,         // 0.8% CTR counts as strong
+    cpmAlert: 80,             // $80 CPM alert
+    cpmWarn: 50,              // $50 CPM elevated
+    showRateWarn: 0.55,       // Warn if show rate < 55%
+    showRateStrong: 0.75,     // Win if show rate ≥ 75%
+    paceOver: 1.1,            // Alert when projected month-end spend > budget × this
+    paceWarn: 1.0,            // Warn when projected month-end spend > budget × this
+    paceUnder: 0.85,          // Opportunity when projected month-end spend < budget × this
+    pipelineTrend: 0.2,       // ±20% demo volume vs prior month
+    topDisqualMinDemos: 3,    // Min demos for a disqual reason to become an exclusion tip
+  },
+  weekOverWeek: {
+    cpdRise: 0.25,            // Warn when 7d CPD is > 25% above the prior 7 days (alert at twice this)
+    ctrDrop: 0.2,             // Warn when 7d CTR is > 20% below the prior 7 days (alert at twice this)
+    cpmRise: 0.25,            // Warn when 7d CPM is > 25% above the prior 7 days (alert at twice this)
+    minSpend: 500,            // Both weeks need at least this much spend to compare
+    minDemos: 3,              // Both weeks need at least this many demos to compare CPD
+  },
+  campaigns: {
+    pauseSpendShare: 0.3,     // Pause when a campaign takes > 30% of spend …
+    pauseMaxDemos: 3,         // … with fewer demos than this
+    reduceSpendShare: 0.15,   // Reduce when > 15% of spend and CPD above warn multiple
+    scaleCpdMultiple: 0.8,    // Scale when CPD < target × this …
+    scaleMinDemos: 3,         // … with at least this many demos
+    creativeCtr: 0.003,       // Refresh creative below 0.3% CTR …
+    creativeMinImpressions: 5000, // … once past this many impressions
+    concentrationShare: 0.6,  // Flag when the top campaign takes > 60% of spend
+    confidence: 0.8,          // Pause/reduce/scale only when the CPD interval at this level clears the threshold
+    priorDemos: 2,            // Weight, in demos, of the account-average prior that campaign CPD is shrunk toward
+  },
+  reallocation: {
+    elasticity: 0.7,          // Demos grow with (budget change)^this: 1 = linear, lower = faster diminishing returns
+    maxIncrease: 0.3,         // A campaign's daily budget rises by at most 30% …
+    maxDecrease: 0.5,         // … and falls by at most 50%
+    minDemos: 3,              // Campaigns with fewer demos in the window can't be given more budget
+  },
+  attribution: {
+    // Contact properties holding the LinkedIn campaign, most specific first
+    contactProperties: ['utm_campaign', 'hs_analytics_source_data_2', 'hs_analytics_source_data_1'],
+    demoDateProperty: 'demo_date',  // Contact property with the scheduled demo date (see isDemoDue)
+    campaignMap: [],          // [{ value: "li-cmo-q3", campaign: "US_CMO_DemoLP_VideoA" }, { pattern: "^retarget", campaign: "…" }]
+    minMatchedContacts: 5,    // Use qualified CPD for a campaign once this many demos are matched to it
+    maxGapShare: 0.25,        // Warn when more LinkedIn-sourced demos than this are unmatched
+  },
+  naming: {
+    // Campaign name convention, e.g. "CMO_Demo_FreeTrial_VideoA". Either a regex
+    // whose named groups are the dimensions ("^(?<audience>[^_]+)_(?<objective>[^_]+)…")
+    // or, when pattern is null, the name split on `delimiter` into `fields`.
+    pattern: null,
+    delimiter: '_',
+    fields: ['audience', 'objective', 'offer', 'creative'],
+  },
+  revenue: {
+    lookbackDays: 90,         // A closed-won deal credits a demo booked up to this many days before close
+    roasMonths: 12,           // ROAS counts this many months of attributed MRR
+    grossMargin: 1,           // Margin applied to MRR for CAC payback
+  },
+  alertState: {
+    escalateAfterDays: 5,     // An alert/warning still open after this many days is escalated (once)
+  },
+  // Alert/warning ids to keep quiet until a date (inclusive): { "cpd_target": "2026-11-01" }
+  snoozes: {},
+  funnel: {
+    minVolume: 20,            // A step's conversion is compared only when ≥ this many entered it in both windows
+    dropWarn: 0.2,            // Warn when the worst step's conversion fell > 20% vs the prior period
+  },
+  audience: {
+    minDemos: 30,             // Below this many qualified + disqualified LinkedIn-sourced demos, use the static playbook
+    minSegmentDemos: 5,       // A firmographic segment needs this many demos to be judged
+    minLift: 1.5,             // Exclude when a segment's disqual rate is ≥ 1.5× overall (layer when ≤ overall ÷ 1.5) …
+    confidence: 0.9,          // … and the Wilson bound at this confidence is still past the overall rate
+    maxCandidates: 5,         // Max exclusion / layering suggestions each
+    // Job titles are grouped by the first of these words they contain
+    titleKeywords: ['intern', 'student', 'freelance', 'assistant', 'coordinator', 'specialist', 'manager',
+      'director', 'head', 'vp', 'cmo', 'ceo', 'chief', 'founder', 'owner', 'president'],
+  },
+  creatives: {
+    lifetimeDays: 90,         // Ad history fetched to judge fatigue (days up to the end of the window)
+    launchDays: 7,            // CTR over an ad's first N delivering days is its launch baseline …
+    recentDays: 7,            // … compared with its CTR over the window's last N days
+    fatigueDrop: 0.35,        // Fatigued when recent CTR is more than 35% below launch CTR
+    minImpressions: 2000,     // Launch and recent periods each need this many impressions to judge
+  },
+  anomalies: {
+    baselineDays: 28,         // Yesterday is compared with this many prior days
+    minBaselineDays: 14,      // Skip scopes that delivered on fewer baseline days
+    zThreshold: 3.5,          // Robust z-score (median/MAD) needed to flag
+    minDailySpend: 25,        // Ignore scopes spending less than this per day
+    minImpressions: 500,      // Min daily impressions for CTR/CPM to be meaningful
+  },
+  forecast: {
+    baselineDays: 28,         // Daily history used for day-of-week shape, demo rate and spend scatter
+    runRateDays: 7,           // Spend run rate is the (de-seasonalised) average of the last N days
+  },
+  cohorts: {
+    weeks: 8,                 // Weekly booking cohorts shown (LinkedIn-sourced demos)
+  },
+  channels: {
+    labels: {                 // Windsor datasource → display name; unlisted datasources are title-cased
+      linkedin: 'LinkedIn',
+      facebook: 'Meta',
+      tiktok: 'TikTok',
+      google_ads: 'Google Ads',
+      youtube: 'YouTube',
+      bing: 'Microsoft Ads',
+    },
+    benchmarkMinRuns: 7,      // Runs with a CPD for the channel needed before its 90-day benchmark is shown
+  },
+  history: {
+    retentionDays: 180,       // Snapshots older than this are dropped whenever history is written
+  },
+};
+
+const CONFIG_SCHEMA = {
+  budget: {
+    monthly: { type: 'number', min: 0 },
+  },
+  cpd: {
+    target: { type: 'number', min: 0 },
+    alertMultiple: { type: 'number', min: 1 },
+    warnMultiple: { type: 'number', min: 1 },
+    $check: c => checkAscending(c, ['warnMultiple', 'alertMultiple']),
+    overrides: {
+      type: 'array',
+      items: {
+        campaign: { type: 'string' },
+        pattern: { type: 'string', check: checkRegex },
+        target: { type: 'number', min: 0, required: true },
+      },
+      check: o => (o.campaign === undefined) === (o.pattern === undefined)
+        ? 'each override needs exactly one of "campaign" or "pattern"' : null,
+    },
+  },
+  thresholds: {
+    disqualAlert: { type: 'number', min: 0, max: 1 },
+    disqualWarn: { type: 'number', min: 0, max: 1 },
+    disqualWin: { type: 'number', min: 0, max: 1 },
+    ctrWarn: { type: 'number', min: 0, max: 1 },
+    ctrStrong: { type: 'number', min: 0, max: 1 },
+    cpmAlert: { type: 'number', min: 0 },
+    cpmWarn: { type: 'number', min: 0 },
+    showRateWarn: { type: 'number', min: 0, max: 1 },
+    showRateStrong: { type: 'number', min: 0, max: 1 },
+    paceOver: { type: 'number', min: 0 },
+    paceWarn: { type: 'number', min: 0 },
+    paceUnder: { type: 'number', min: 0 },
+    pipelineTrend: { type: 'number', min: 0 },
+    topDisqualMinDemos: { type: 'number', min: 0, integer: true },
+    $check: t => [
+      ['paceUnder', 'paceWarn', 'paceOver'],
+      ['disqualWin', 'disqualWarn', 'disqualAlert'],
+      ['ctrWarn', 'ctrStrong'],
+      ['cpmWarn', 'cpmAlert'],
+      ['showRateWarn', 'showRateStrong'],
+    ].map(keys => checkAscending(t, keys)).filter(Boolean).join('; ') || null,
+  },
+  weekOverWeek: {
+    cpdRise: { type: 'number', min: 0 },
+    ctrDrop: { type: 'number', min: 0, max: 1 },
+    cpmRise: { type: 'number', min: 0 },
+    minSpend: { type: 'number', min: 0 },
+    minDemos: { type: 'number', min: 0, integer: true },
+  },
+  campaigns: {
+    pauseSpendShare: { type: 'number', min: 0, max: 1 },
+    pauseMaxDemos: { type: 'number', min: 0, integer: true },
+    reduceSpendShare: { type: 'number', min: 0, max: 1 },
+    scaleCpdMultiple: { type: 'number', min: 0 },
+    scaleMinDemos: { type: 'number', min: 0, integer: true },
+    creativeCtr: { type: 'number', min: 0, max: 1 },
+    creativeMinImpressions: { type: 'number', min: 0 },
+    concentrationShare: { type: 'number', min: 0, max: 1 },
+    confidence: { type: 'number', min: 0.5, max: 0.99 },
+    priorDemos: { type: 'number', min: 0.5 },
+  },
+  reallocation: {
+    elasticity: { type: 'number', min: 0.1, max: 1 },
+    maxIncrease: { type: 'number', min: 0 },
+    maxDecrease: { type: 'number', min: 0, max: 1 },
+    minDemos: { type: 'number', min: 0, integer: true },
+  },
+  attribution: {
+    contactProperties: { type: 'array', items: { type: 'string' } },
+    demoDateProperty: { type: 'string' },
+    campaignMap: {
+      type: 'array',
+      items: {
+        value: { type: 'string' },
+        pattern: { type: 'string', check: checkRegex },
+        campaign: { type: 'string', required: true },
+      },
+      check: o => (o.value === undefined) === (o.pattern === undefined)
+        ? 'each mapping needs exactly one of "value" or "pattern"' : null,
+    },
+    minMatchedContacts: { type: 'number', min: 1, integer: true },
+    maxGapShare: { type: 'number', min: 0, max: 1 },
+  },
+  naming: {
+    pattern: { type: 'string', nullable: true, check: v => checkRegex(v) || (/\(\?<[A-Za-z_$]/.test(v) ? null : 'needs at least one named group, e.g. (?<audience>[^_]+)') },
+    delimiter: { type: 'string' },
+    fields: { type: 'array', items: { type: 'string' } },
+  },
+  revenue: {
+    lookbackDays: { type: 'number', min: 0, integer: true },
+    roasMonths: { type: 'number', min: 1 },
+    grossMargin: { type: 'number', min: 0, max: 1 },
+  },
+  alertState: {
+    escalateAfterDays: { type: 'number', min: 1, integer: true },
+  },
+  snoozes: { type: 'map', values: { type: 'string', check: checkDate } },
+  funnel: {
+    minVolume: { type: 'number', min: 1 },
+    dropWarn: { type: 'number', min: 0, max: 1 },
+  },
+  audience: {
+    minDemos: { type: 'number', min: 1, integer: true },
+    minSegmentDemos: { type: 'number', min: 1, integer: true },
+    minLift: { type: 'number', min: 1 },
+    confidence: { type: 'number', min: 0.5, max: 0.99 },
+    maxCandidates: { type: 'number', min: 1, integer: true },
+    titleKeywords: { type: 'array', items: { type: 'string', check: v => (v.trim() !== v ? 'has leading or trailing spaces' : /[\p{L}\p{N}]/u.test(v) ? null : 'needs at least one letter or digit') } },
+  },
+  creatives: {
+    lifetimeDays: { type: 'number', min: 14, integer: true },
+    launchDays: { type: 'number', min: 1, integer: true },
+    recentDays: { type: 'number', min: 1, integer: true },
+    fatigueDrop: { type: 'number', min: 0, max: 1 },
+    minImpressions: { type: 'number', min: 0 },
+  },
+  anomalies: {
+    baselineDays: { type: 'number', min: 1, max: 29, integer: true },
+    minBaselineDays: { type: 'number', min: 1, integer: true },
+    zThreshold: { type: 'number', min: 0 },
+    minDailySpend: { type: 'number', min: 0 },
+    minImpressions: { type: 'number', min: 0 },
+    $check: a => (a.minBaselineDays > a.baselineDays
+      ? `minBaselineDays (${a.minBaselineDays}) can't exceed baselineDays (${a.baselineDays}) — no scope would ever be checked` : null),
+  },
+  forecast: {
+    baselineDays: { type: 'number', min: 7, max: 30, integer: true },
+    runRateDays: { type: 'number', min: 1, max: 30, integer: true },
+  },
+  cohorts: {
+    weeks: { type: 'number', min: 2, max: 26, integer: true },
+  },
+  channels: {
+    labels: { type: 'map', values: { type: 'string' } },
+    benchmarkMinRuns: { type: 'number', min: 1, integer: true },
+  },
+  history: {
+    // Trends and benchmarks read the last HISTORY_DAYS, so keep at least that much
+    retentionDays: { type: 'number', min: HISTORY_DAYS, integer: true },
+  },
+};
+
+const { config: CONFIG, source: CONFIG_SOURCE } = loadConfig(CONFIG_PATH);
+
+const LI_MONTHLY_BUDGET = CONFIG.budget.monthly;
+
+// CPD target (channel benchmarks come from run history, see buildChannelComparison)
+const CPD_TARGET = CONFIG.cpd.target;
 
 // Qualification thresholds
-const DISQUAL_ALERT_THRESHOLD = 0.45; // Alert if disqual rate > 45%
-const DISQUAL_WARN_THRESHOLD = 0.35;  // Warn if disqual rate > 35%
-const CTR_WARN_THRESHOLD = 0.005;     // 0.5% CTR warn for LinkedIn
-const CPM_ALERT_THRESHOLD = 80;       // $80 CPM alert
+const DISQUAL_ALERT_THRESHOLD = CONFIG.thresholds.disqualAlert;
+const DISQUAL_WARN_THRESHOLD = CONFIG.thresholds.disqualWarn;
+const CTR_WARN_THRESHOLD = CONFIG.thresholds.ctrWarn;
+const CPM_ALERT_THRESHOLD = CONFIG.thresholds.cpmAlert;
+
+// ─── CONFIG LOADER ─────────────────────────────────────────────────────────────
+
+function loadConfig(explicitPath) {
+  const candidates = explicitPath
+    ? [path.resolve(explicitPath)]
+    : ['linkedin_optimizer.config.json', 'linkedin_optimizer.config.yaml', 'linkedin_optimizer.config.yml']
+        .map(f => path.join(__dirname, f));
+  const file = candidates.find(f => fs.existsSync(f));
+  if (!file) {
+    if (explicitPath) configFail(`Config file not found: ${candidates[0]}`);
+    return { config: DEFAULT_CONFIG, source: 'built-in defaults' };
+  }
+
+  let raw;
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    raw = /\.ya?ml$/i.test(file) ? require('js-yaml').load(text) : JSON.parse(text);
+  } catch (e) {
+    configFail(`Could not parse ${file}: ${e.message}`);
+  }
+
+  const errors = [];
+  validateConfig(raw == null ? {} : raw, CONFIG_SCHEMA, '', errors, DEFAULT_CONFIG);
+  if (errors.length > 0) configFail(`Invalid config in ${file}:\n` + errors.map(e => `   - ${e}`).join('\n'));
+
+  return { config: mergeConfig(DEFAULT_CONFIG, raw || {}), source: file };
+}
+
+function configFail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+// Schema nodes are either leaf specs (have a `type`) or plain objects of nested nodes.
+// An object node's optional `$check` sees the section merged over its defaults, for
+// rules that span settings; it only runs once the section's own settings are valid.
+function validateConfig(value, schema, at, errors, defaults = undefined) {
+  if (typeof schema.type === 'string') return validateLeaf(value, schema, at, errors);
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${at || '(root)'}: expected an object, got ${JSON.stringify(value)}`);
+    return;
+  }
+  const before = errors.length;
+  for (const [k, v] of Object.entries(value)) {
+    const key = at ? `${at}.${k}` : k;
+    if (!(k in schema) || k === '$check') errors.push(`${key}: unknown setting`);
+    else validateConfig(v, schema[k], key, errors, defaults?.[k]);
+  }
+  for (const [k, spec] of Object.entries(schema)) {
+    if (k !== '$check' && spec.required && value[k] === undefined) errors.push(`${at ? `${at}.${k}` : k}: is required`);
+  }
+  if (schema.$check && errors.length === before) {
+    const msg = schema.$check(mergeConfig(defaults || {}, value));
+    if (msg) errors.push(`${at || '(root)'}: ${msg}`);
+  }
+}
+
+function validateLeaf(value, spec, at, errors) {
+  if (value === null && spec.nullable) return;
+  const got = JSON.stringify(value);
+  if (spec.type === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return errors.push(`${at}: expected a number, got ${got}`);
+    if (spec.integer && !Number.isInteger(value)) return errors.push(`${at}: expected a whole number, got ${got}`);
+    if (spec.min !== undefined && value < spec.min) return errors.push(`${at}: must be ≥ ${spec.min}, got ${got}`);
+    if (spec.max !== undefined && value > spec.max) return errors.push(`${at}: must be ≤ ${spec.max}, got ${got}`);
+  } else if (spec.type === 'string') {
+    if (typeof value !== 'string' || value === '') return errors.push(`${at}: expected a non-empty string, got ${got}`);
+  } else if (spec.type === 'array') {
+    if (!Array.isArray(value)) return errors.push(`${at}: expected a list, got ${got}`);
+    value.forEach((item, i) => {
+      const before = errors.length;
+      validateConfig(item, spec.items, `${at}[${i}]`, errors);
+      if (errors.length === before && spec.check) {
+        const msg = spec.check(item);
+        if (msg) errors.push(`${at}[${i}]: ${msg}`);
+      }
+    });
+    return;
+  } else if (spec.type === 'map') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return errors.push(`${at}: expected an object, got ${got}`);
+    for (const [k, v] of Object.entries(value)) validateConfig(v, spec.values, `${at}.${k}`, errors);
+    return;
+  }
+  if (spec.check) {
+    const msg = spec.check(value);
+    if (msg) errors.push(`${at}: ${msg}`);
+  }
+}
+
+// For a $check: the section's settings under `keys` must strictly increase
+function checkAscending(section, keys) {
+  return keys.every((k, i) => i === 0 || section[keys[i - 1]] < section[k])
+    ? null : `expected ${keys.join(' < ')}, got ${keys.map(k => `${k} ${section[k]}`).join(', ')}`;
+}
+
+function checkRegex(v) {
+  try { new RegExp(v); return null; } catch (e) { return `invalid regular expression (${e.message})`; }
+}
+
+function checkDate(v) {
+  const d = new Date(`${v}T00:00:00.000Z`);
+  return /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(d) && toDateStr(d) === v ? null : `expected a date as YYYY-MM-DD, got ${JSON.stringify(v)}`;
+}
+
+// Objects merge key by key; arrays and scalars from the file replace the default
+function mergeConfig(base, over) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over)) {
+    out[k] = v && typeof v === 'object' && !Array.isArray(v) && base[k] && typeof base[k] === 'object'
+      ? mergeConfig(base[k], v)
+      : v;
+  }
+  return out;
+}
+
+// Human-readable dump of the config in effect, for the top of the text report
+function describeConfig() {
+  const c = CONFIG;
+  const lines = [];
+  lines.push(`Source:          ${CONFIG_SOURCE}`);
+  lines.push(`Monthly Budget:  ${fmt$(c.budget.monthly)}`);
+  lines.push(`CPD Target:      ${fmt$(c.cpd.target)} (alert > ×${c.cpd.alertMultiple}, warn > ×${c.cpd.warnMultiple})`);
+  if (c.cpd.overrides.length > 0) {
+    lines.push('CPD Overrides:');
+    c.cpd.overrides.forEach(o => lines.push(`  ${padStr(o.campaign ? `"${o.campaign}"` : `/${o.pattern}/i`, 40)} ${fmt$(o.target)}`));
+  }
+  lines.push('Thresholds:');
+  for (const [k, v] of Object.entries(c.thresholds)) lines.push(`  ${padStr(k, 24)} ${v}`);
+  lines.push('Week over Week:');
+  for (const [k, v] of Object.entries(c.weekOverWeek)) lines.push(`  ${padStr(k, 24)} ${v}`);
+  lines.push('Campaign Rules:');
+  for (const [k, v] of Object.entries(c.campaigns)) lines.push(`  ${padStr(k, 24)} ${v}`);
+  lines.push('Budget Reallocation:');
+  for (const [k, v] of Object.entries(c.reallocation)) lines.push(`  ${padStr(k, 24)} ${v}`);
+  lines.push('Attribution:');
+  lines.push(`  ${padStr('contactProperties', 24)} ${c.attribution.contactProperties.join(', ')}`);
+  lines.push(`  ${padStr('demoDateProperty', 24)} ${c.attribution.demoDateProperty}`);
+  c.attribution.campaignMap.forEach(m => lines.push(`  ${padStr(m.value ? `"${m.value}"` : `/${m.pattern}/i`, 24)} → ${m.campaign}`));
+  lines.push(`  ${padStr('minMatchedContacts', 24)} ${c.attribution.minMatchedContacts}`);
+  lines.push(`  ${padStr('maxGapShare', 24)} ${c.attribution.maxGapShare}`);
+  lines.push(`Naming:          ${c.naming.pattern ? `/${c.naming.pattern}/` : `${c.naming.fields.join(` ${c.naming.delimiter} `)}`}`);
+  lines.push('Revenue Attribution:');
+  for (const [k, v] of Object.entries(c.revenue)) lines.push(`  ${padStr(k, 24)} ${v}`);
+  lines.push(`Alert State:     escalate after ${c.alertState.escalateAfterDays} days open`);
+  for (const [id, until] of Object.entries(c.snoozes)) lines.push(`  snoozed until ${until}: ${id}`);
+  lines.push(`Website Funnel:  compare steps with ≥ ${c.funnel.minVolume} entering, warn on a drop > ${fmtPct(c.funnel.dropWarn)}`);
+  lines.push('Audience Exclusions:');
+  for (const [k, v] of Object.entries(c.audience)) lines.push(`  ${padStr(k, 24)} ${Array.isArray(v) ? v.join(', ') : v}`);
+  lines.push('Creative Fatigue:');
+  for (const [k, v] of Object.entries(c.creatives)) lines.push(`  ${padStr(k, 24)} ${v}`);
+  lines.push('Anomaly Detection:');
+  for (const [k, v] of Object.entries(c.anomalies)) lines.push(`  ${padStr(k, 24)} ${v}`);
+  lines.push(`Forecast:        ${c.forecast.baselineDays}-day baseline, ${c.forecast.runRateDays}-day spend run rate`);
+  lines.push(`Demo Cohorts:    last ${c.cohorts.weeks} booking weeks`);
+  lines.push('Channels:');
+  for (const [k, v] of Object.entries(c.channels.labels)) lines.push(`  ${padStr(k, 24)} ${v}`);
+  lines.push(`  ${padStr('benchmarkMinRuns', 24)} ${c.channels.benchmarkMinRuns}`);
+  lines.push(`Run History:     keep ${c.history.retentionDays} days of snapshots`);
+  return lines;
+}
+
+// CPD target for a campaign: exact-name override, then first matching pattern, then account target
+function cpdTargetFor(campaignName) {
+  const overrides = CONFIG.cpd.overrides;
+  const exact = overrides.find(o => o.campaign === campaignName);
+  if (exact) return exact.target;
+  const byPattern = overrides.find(o => o.pattern && new RegExp(o.pattern, 'i').test(campaignName));
+  return byPattern ? byPattern.target : CPD_TARGET;
+}
+
+// ─── COMMAND LINE ──────────────────────────────────────────────────────────────
+
+const SINKS = ['files', 'github', 'slack', 'email'];
+const FORMATS = ['txt', 'html', 'json', 'csv'];
+
+const USAGE = `Usage: node linkedin_optimizer.js [options]
+
+  --as-of YYYY-MM-DD   Rerun the report as it would have run on this date (data through the day before)
+  --from YYYY-MM-DD    Start of a custom primary window (default: 30 days ending --to)
+  --to YYYY-MM-DD      End of a custom primary window (default: yesterday)
+  --dry-run            Build outputs without delivering anything or updating run history
+  --only LIST          Sinks to deliver to, comma-separated: ${SINKS.join(',')} (default: all)
+  --out-dir DIR        Directory for report files (default: next to this script)
+  --format LIST        Report files to write, comma-separated: ${FORMATS.join(',')} (default: all; csv writes
+                       campaigns, channels and disqual-reasons files)
+  --test-rules FILE    Check intelligence/campaign rules against the cases in FILE and exit (see testRules)
+  -h, --help           Show this help
+
+Exit codes: ${EXIT_CLEAN} ran clean, ${EXIT_ALERTS} ran with alerts, ${EXIT_FAILED} failed (bad options, fatal error or a delivery error)`;
+
+function parseCli(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        'as-of': { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        'dry-run': { type: 'boolean', default: false },
+        only: { type: 'string' },
+        'out-dir': { type: 'string' },
+        format: { type: 'string' },
+        'test-rules': { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    }));
+  } catch (e) {
+    cliFail(e.message);
+  }
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(EXIT_CLEAN);
+  }
+
+  const today = toDateStr(new Date());
+  const asOf = values['as-of'] && cliDate('--as-of', values['as-of']);
+  if (asOf && (values.from || values.to)) cliFail('--as-of can\'t be combined with --from/--to');
+  if (asOf && asOf > today) cliFail(`--as-of ${asOf} is in the future`);
+
+  let range = null;
+  if (values.from || values.to) {
+    const to = values.to ? cliDate('--to', values.to) : toDateStr(addDays(new Date(), -1));
+    const from = values.from ? cliDate('--from', values.from) : toDateStr(addDays(new Date(to + 'T00:00:00.000Z'), -29));
+    if (to >= today) cliFail(`--to ${to} must be before today (Windsor data ends yesterday)`);
+    if (from > to) cliFail(`--from ${from} is after --to ${to}`);
+    range = { from, to };
+  }
+
+  return {
+    asOf,
+    range,
+    dryRun: values['dry-run'],
+    sinks: new Set(cliList('--only', values.only, SINKS)),
+    formats: new Set(cliList('--format', values.format, FORMATS)),
+    outDir: path.resolve(values['out-dir'] || __dirname),
+    testRules: values['test-rules'] || null,
+  };
+}
+
+function cliDate(flag, value) {
+  const d = new Date(value + 'T00:00:00.000Z');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(d) || toDateStr(d) !== value) cliFail(`${flag} expects a date as YYYY-MM-DD, got "${value}"`);
+  return value;
+}
+
+function cliList(flag, value, allowed) {
+  if (value === undefined) return allowed;
+  const items = value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const unknown = items.filter(i => !allowed.includes(i));
+  if (items.length === 0 || unknown.length > 0) cliFail(`${flag} accepts ${allowed.join(', ')} (got "${value}")`);
+  return items;
+}
+
+function cliFail(message) {
+  console.error(`❌ ${message}\n\n${USAGE}`);
+  process.exit(EXIT_FAILED);
+}
 
 // ─── DATE HELPERS ──────────────────────────────────────────────────────────────
 
@@ -54,23 +619,32 @@ function addDays(d, n) {
   return r;
 }
 
-function getWindows() {
-  const now = new Date();
+// `d30` is the primary window: the last 30 days, or a custom range (see --from/--to)
+// that ends on `now`'s yesterday. Its prior period has the same length.
+function getWindows(now = new Date(), range = null) {
   // Windsor caps at yesterday
   const yesterday = addDays(now, -1);
   const d7start = addDays(now, -7);
-  const d30start = addDays(now, -30);
+  const d30start = range ? new Date(range.from + 'T00:00:00.000Z') : addDays(now, -30);
+  const primaryDays = Math.round((toMs(toDateStr(yesterday)) - toMs(toDateStr(d30start))) / 86400000) + 1;
   const mtdStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
   // Prior month
   const prevMonthEnd = addDays(mtdStart, -1);
   const prevMonthStart = new Date(Date.UTC(prevMonthEnd.getUTCFullYear(), prevMonthEnd.getUTCMonth(), 1));
+  // Matched prior periods: the same number of days immediately before d7/d30,
+  // and the same days of the prior month for MTD (capped at its last day)
+  const mtdDays = now.getUTCDate() - 1;
+  const prevMtdEnd = addDays(prevMonthStart, Math.min(mtdDays, prevMonthEnd.getUTCDate()) - 1);
 
   return {
     yesterday: { from: toDateStr(yesterday), to: toDateStr(yesterday), label: 'Yesterday' },
     d7:        { from: toDateStr(d7start),   to: toDateStr(yesterday), label: 'Last 7 Days' },
-    d30:       { from: toDateStr(d30start),  to: toDateStr(yesterday), label: 'Last 30 Days' },
+    d30:       { from: toDateStr(d30start),  to: toDateStr(yesterday), days: primaryDays, label: range ? `${range.from} → ${range.to}` : 'Last 30 Days' },
     mtd:       { from: toDateStr(mtdStart),  to: toDateStr(yesterday), label: 'Month to Date' },
     prevMonth: { from: toDateStr(prevMonthStart), to: toDateStr(prevMonthEnd), label: 'Prior Month' },
+    prev7:     { from: toDateStr(addDays(now, -14)), to: toDateStr(addDays(now, -8)), label: 'Prior 7 Days' },
+    prev30:    { from: toDateStr(addDays(d30start, -primaryDays)), to: toDateStr(addDays(d30start, -1)), label: `Prior ${primaryDays} Days` },
+    prevMtd:   { from: toDateStr(prevMonthStart), to: toDateStr(prevMtdEnd), label: 'Prior Month to Date' },
   };
 }
 
@@ -79,11 +653,87 @@ function toMs(dateStr, endOfDay = false) {
   return endOfDay ? d.getTime() + 86399999 : d.getTime();
 }
 
+// ─── FIXTURES (RECORD / REPLAY) ────────────────────────────────────────────────
+// record: every raw Windsor/HubSpot response is saved to the fixture dir.
+// replay: the same calls are served from that dir and "now" is frozen to the
+// recorded run time, so a past report/dashboard can be regenerated offline.
+
+const fixtures = { mode: null, dir: null, range: null };
+
+function openFixtures(now, range = null) {
+  if (!FIXTURE_MODE) return now;
+  if (FIXTURE_MODE !== 'record' && FIXTURE_MODE !== 'replay') {
+    throw new Error(`LI_FIXTURE_MODE must be "record" or "replay" (got "${FIXTURE_MODE}")`);
+  }
+  fixtures.mode = FIXTURE_MODE;
+
+  if (FIXTURE_MODE === 'record') {
+    fixtures.dir = path.resolve(FIXTURE_DIR || path.join(__dirname, 'fixtures', toDateStr(now)));
+    fs.mkdirSync(fixtures.dir, { recursive: true });
+    fs.writeFileSync(path.join(fixtures.dir, 'meta.json'), JSON.stringify({ recordedAt: now.toISOString(), ...(range ? { range } : {}) }, null, 2), 'utf8');
+    return now;
+  }
+
+  if (!FIXTURE_DIR) throw new Error('LI_FIXTURE_DIR must point at a recorded fixture directory in replay mode');
+  fixtures.dir = path.resolve(FIXTURE_DIR);
+  const metaPath = path.join(fixtures.dir, 'meta.json');
+  if (!fs.existsSync(metaPath)) throw new Error(`No meta.json in fixture directory ${fixtures.dir}`);
+  const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+  fixtures.range = meta.range || null;
+  return new Date(meta.recordedAt);
+}
+
+// Stable file name for a request: source + hash of its (key-sorted) params
+function fixtureKey(source, params) {
+  const canonical = JSON.stringify(sortKeys(params));
+  return `${source}-${crypto.createHash('sha1').update(canonical).digest('hex').slice(0, 12)}.json`;
+}
+
+function sortKeys(v) {
+  if (Array.isArray(v)) return v.map(sortKeys);
+  if (v && typeof v === 'object') {
+    return Object.keys(v).sort().reduce((acc, k) => { acc[k] = sortKeys(v[k]); return acc; }, {});
+  }
+  return v;
+}
+
+// Route a fetch through the fixture store. `params` must not contain secrets.
+// Fetchers throw when a request fails: the run carries on with no rows, as it
+// always has, but the failure is never recorded as a fixture to be replayed.
+async function withFixture(source, params, fetcher) {
+  const file = fixtures.mode && path.join(fixtures.dir, fixtureKey(source, params));
+
+  if (fixtures.mode === 'replay') {
+    if (!fs.existsSync(file)) {
+      throw new Error(`No recorded ${source} response for ${JSON.stringify(params)} (expected ${path.basename(file)})`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8')).data;
+  }
+
+  let data;
+  try { data = await fetcher(); } catch (err) {
+    console.error(err.message + (fixtures.mode === 'record' ? ' (not recorded)' : ''));
+    return [];
+  }
+  if (fixtures.mode === 'record') fs.writeFileSync(file, JSON.stringify({ source, params, data }, null, 2), 'utf8');
+  return data;
+}
+
 // ─── WINDSOR.AI FETCHER ────────────────────────────────────────────────────────
 
-async function windsorFetch(params, attempt = 0) {
+// A full page means rows were cut off (daily per-ad rows reach it first on a
+// busy account), so say so rather than report on partial totals
+async function windsorFetch(params) {
+  const rows = await withFixture('windsor', params, () => windsorRequest(params));
+  if (rows.length >= WINDSOR_PAGE_SIZE) {
+    console.warn(`⚠️  Windsor returned a full page (${rows.length} rows) of ${params.connectors || 'all-channel'} data for ${params.date_from} → ${params.date_to} — totals are likely truncated`);
+  }
+  return rows;
+}
+
+async function windsorRequest(params, attempt = 0) {
   const url = new URL('https://connectors.windsor.ai/all');
-  for (const [k, v] of Object.entries({ api_key: WINDSOR_API_KEY, page_size: 5000, ...params })) {
+  for (const [k, v] of Object.entries({ api_key: WINDSOR_API_KEY, page_size: WINDSOR_PAGE_SIZE, ...params })) {
     url.searchParams.set(k, String(v));
   }
   try {
@@ -94,10 +744,9 @@ async function windsorFetch(params, attempt = 0) {
   } catch (err) {
     if (attempt < 3) {
       await sleep(1000 * Math.pow(2, attempt));
-      return windsorFetch(params, attempt + 1);
+      return windsorRequest(params, attempt + 1);
     }
-    console.error('Windsor fetch failed:', err.message);
-    return [];
+    throw new Error(`Windsor fetch failed: ${err.message}`);
   }
 }
 
@@ -111,6 +760,16 @@ async function fetchLinkedInData(from, to) {
   });
 }
 
+// Fetch LinkedIn data per ad, for creative leaderboards and fatigue
+async function fetchLinkedInCreativeData(from, to) {
+  return windsorFetch({
+    date_from: from,
+    date_to: to,
+    fields: 'campaign_name,ad_id,ad_name,spend,clicks,impressions,approximate_unique_impressions,conversions_hubspot_meeting_booked,date',
+    connectors: 'linkedin',
+  });
+}
+
 // Fetch all-channel data for comparison
 async function fetchAllChannelData(from, to) {
   return windsorFetch({
@@ -120,25 +779,31 @@ async function fetchAllChannelData(from, to) {
   });
 }
 
-// Fetch GA4 for website funnel context
+// Fetch GA4 for website funnel context: totals for all traffic and for
+// sessions GA4 attributes to LinkedIn
 async function fetchGA4(from, to) {
   const rows = await windsorFetch({
     date_from: from,
     date_to: to,
-    fields: 'users,sessions,conversions_click_schedule_demo_button,conversions_hubspot_meeting_booked',
+    fields: 'session_source,users,sessions,conversions_click_schedule_demo_button,conversions_hubspot_meeting_booked',
     connectors: 'googleanalytics4',
   });
-  return rows.reduce((acc, r) => ({
+  const sum = list => list.reduce((acc, r) => ({
     users: (acc.users || 0) + num(r.users),
     sessions: (acc.sessions || 0) + num(r.sessions),
     demoClicks: (acc.demoClicks || 0) + num(r.conversions_click_schedule_demo_button),
     demos: (acc.demos || 0) + num(r.conversions_hubspot_meeting_booked),
   }), {});
+  return { all: sum(rows), linkedin: sum(rows.filter(r => /linkedin|lnkd/i.test(r.session_source || ''))) };
 }
 
 // ─── HUBSPOT FETCHER ───────────────────────────────────────────────────────────
 
 async function hsSearch(objectType, payload) {
+  return withFixture(`hubspot-${objectType}`, payload, () => hsSearchRequest(objectType, payload));
+}
+
+async function hsSearchRequest(objectType, payload) {
   const results = [];
   let after = undefined;
   let pages = 0;
@@ -151,9 +816,7 @@ async function hsSearch(objectType, payload) {
       body: JSON.stringify(body),
     });
     if (!res.ok) {
-      const err = await res.text();
-      console.error(`HubSpot search error (${objectType}): ${res.status} ${err}`);
-      break;
+      throw new Error(`HubSpot search error (${objectType}): ${res.status} ${await res.text()}`);
     }
     const data = await res.json();
     results.push(...(data.results || []));
@@ -166,11 +829,83 @@ async function hsSearch(objectType, payload) {
   return results;
 }
 
+// One-shot HubSpot POST (batch reads), routed through the fixture store
+async function hsPost(pathname, body) {
+  const name = pathname.replace(/^\/crm\/v\d+\//, '').replace(/\/batch\/read$/, '').replace(/\//g, '-');
+  return withFixture(`hubspot-${name}`, { pathname, body }, async () => {
+    const res = await fetch(`https://api.hubapi.com${pathname}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${HUBSPOT_TOKEN}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    if (!res.ok) throw new Error(`HubSpot batch error (${pathname}): ${res.status} ${await res.text()}`);
+    const data = await res.json();
+    return data.results || [];
+  });
+}
+
+// Contacts associated with each deal: { dealId: [contact, …] }
+async function fetchDealContacts(deals, properties) {
+  const contactIdsByDeal = {};
+  for (let i = 0; i < deals.length; i += 100) {
+    const inputs = deals.slice(i, i + 100).map(d => ({ id: String(d.id) }));
+    const results = await hsPost('/crm/v4/associations/deals/contacts/batch/read', { inputs });
+    for (const r of results) contactIdsByDeal[String(r.from?.id)] = (r.to || []).map(t => String(t.toObjectId));
+  }
+
+  const ids = [...new Set(Object.values(contactIdsByDeal).flat())];
+  const byId = {};
+  for (let i = 0; i < ids.length; i += 100) {
+    const inputs = ids.slice(i, i + 100).map(id => ({ id }));
+    const results = await hsPost('/crm/v3/objects/contacts/batch/read', { properties, inputs });
+    for (const c of results) byId[String(c.id)] = c;
+    await sleep(120); // rate limit
+  }
+
+  const dealContacts = {};
+  for (const [dealId, contactIds] of Object.entries(contactIdsByDeal)) {
+    dealContacts[dealId] = contactIds.map(id => byId[id]).filter(Boolean);
+  }
+  return dealContacts;
+}
+
+// Primary company of each contact: { contactId: company }
+async function fetchContactCompanies(contacts) {
+  const companyByContact = {};
+  for (let i = 0; i < contacts.length; i += 100) {
+    const inputs = contacts.slice(i, i + 100).map(c => ({ id: String(c.id) }));
+    const results = await hsPost('/crm/v4/associations/contacts/companies/batch/read', { inputs });
+    for (const r of results) {
+      if (r.to?.length) companyByContact[String(r.from?.id)] = String(r.to[0].toObjectId);
+    }
+  }
+
+  const ids = [...new Set(Object.values(companyByContact))];
+  const byId = {};
+  for (let i = 0; i < ids.length; i += 100) {
+    const inputs = ids.slice(i, i + 100).map(id => ({ id }));
+    const results = await hsPost('/crm/v3/objects/companies/batch/read', { properties: ['industry', 'numberofemployees', 'founded_year'], inputs });
+    for (const c of results) byId[String(c.id)] = c;
+    await sleep(120); // rate limit
+  }
+
+  const out = {};
+  for (const [contactId, companyId] of Object.entries(companyByContact)) {
+    if (byId[companyId]) out[contactId] = byId[companyId];
+  }
+  return out;
+}
+
 // Fetch all HubSpot demo data for the widest window, slice in memory
 async function fetchAllHubSpotData(fromStr, toStr) {
   const fromMs = toMs(fromStr);
   const toMs_ = toMs(toStr, true);
 
+  const contactProperties = [...new Set(['date_demo_booked', CONFIG.attribution.demoDateProperty, 'demo_status', 'disqualification_reason',
+    'hs_analytics_source', 'hs_analytics_source_data_1', 'hs_analytics_source_data_2',
+    'hs_lead_status', 'lifecyclestage', 'jobtitle', 'hs_seniority', 'numemployees', 'industry',
+    ...CONFIG.attribution.contactProperties])];
+
   // Demos booked (contacts with date_demo_booked in range)
   const contacts = await hsSearch('contacts', {
     filterGroups: [{
@@ -179,9 +914,7 @@ async function fetchAllHubSpotData(fromStr, toStr) {
         { propertyName: 'date_demo_booked', operator: 'LTE', value: String(toMs_) },
       ]
     }],
-    properties: ['date_demo_booked', 'demo_status', 'disqualification_reason',
-                 'hs_analytics_source', 'hs_analytics_source_data_1', 'hs_lead_status',
-                 'lifecyclestage'],
+    properties: contactProperties,
     sorts: [{ propertyName: 'date_demo_booked', direction: 'ASCENDING' }],
   });
 
@@ -197,7 +930,14 @@ async function fetchAllHubSpotData(fromStr, toStr) {
     properties: ['closedate', 'amount', 'dealstage'],
   });
 
-  return { contacts, deals };
+  // Deal → contact associations, so revenue can be traced back to a source/campaign.
+  // Associated contacts may have booked their demo before the fetch window.
+  const dealContacts = await fetchDealContacts(deals, contactProperties);
+
+  // Firmographics for LinkedIn-sourced demos (see buildAudienceExclusions)
+  const contactCompanies = await fetchContactCompanies(contacts.filter(c => classifyContactSource(c) === 'linkedin'));
+
+  return { contacts, deals, dealContacts, contactCompanies };
 }
 
 // Slice contacts/deals to a sub-window
@@ -216,14 +956,34 @@ function sliceWindow(data, fromStr, toStr) {
   return { contacts, deals };
 }
 
-// Build pipeline metrics from sliced data
-function buildPipelineMetrics(sliced) {
+// HubSpot dates come back as epoch ms or ISO strings depending on the property type
+function hsDateMs(v) {
+  if (!v) return null;
+  const ms = /^\d+$/.test(v) ? Number(v) : Date.parse(v);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+// A demo's outcome is due once it has been logged or its scheduled date has passed
+// (attribution.demoDateProperty)
+function isDemoDue(contact, now = new Date()) {
+  const p = contact.properties || {};
+  if (p.demo_status || p.disqualification_reason) return true;
+  const at = hsDateMs(p[CONFIG.attribution.demoDateProperty]);
+  return at !== null && at <= now.getTime();
+}
+
+// Build pipeline metrics from sliced data. Show and disqual rates are over demos
+// whose outcome is due; demos still to happen are `pending`.
+function buildPipelineMetrics(sliced, now = new Date()) {
   const { contacts, deals } = sliced;
   const demosBooked = contacts.length;
+  const due = contacts.filter(c => isDemoDue(c, now)).length;
+  const pending = demosBooked - due;
   const demosHappened = contacts.filter(c => c.properties?.demo_status === 'Happened').length;
   const noShow = contacts.filter(c => c.properties?.demo_status === 'No Show').length;
   const cancelled = contacts.filter(c => c.properties?.demo_status === 'Cancelled').length;
   const disqualified = contacts.filter(c => c.properties?.disqualification_reason).length;
+  const qualified = contacts.filter(c => c.properties?.demo_status === 'Happened' && !c.properties?.disqualification_reason).length;
 
   // Disqualification reason breakdown
   const disqualReasons = {};
@@ -234,13 +994,266 @@ function buildPipelineMetrics(sliced) {
 
   const closedWon = deals.length;
   const mrr = deals.reduce((s, d) => s + num(d.properties?.amount), 0);
-  const showRate = demosBooked > 0 ? demosHappened / demosBooked : 0;
-  const disqualRate = demosBooked > 0 ? disqualified / demosBooked : 0;
+  const showRate = due > 0 ? demosHappened / due : 0;
+  const disqualRate = due > 0 ? disqualified / due : 0;
 
-  return { demosBooked, demosHappened, noShow, cancelled, disqualified,
+  return { demosBooked, due, pending, demosHappened, noShow, cancelled, disqualified, qualified,
            disqualReasons, closedWon, mrr, showRate, disqualRate };
 }
 
+// ─── DEMO COHORTS ──────────────────────────────────────────────────────────────
+
+// Monday (UTC) of the week containing `d`
+function weekStart(d) {
+  return addDays(new Date(`${toDateStr(d)}T00:00:00.000Z`), -((d.getUTCDay() + 6) % 7));
+}
+
+// Weekly booking cohorts, oldest first: outcome counts so far, rates over due
+// demos, and `showCurve[k]` — share of the cohort that had shown up by the end
+// of week k after booking (null for weeks that haven't started yet).
+function buildDemoCohorts(sliced, dealContacts, { from, now = new Date(), weeks = CONFIG.cohorts.weeks }) {
+  const first = weekStart(new Date(`${from}T00:00:00.000Z`));
+  const cohorts = [];
+  for (let i = 0; i < weeks; i++) {
+    const start = addDays(first, i * 7);
+    if (start > now) break;
+    cohorts.push({ start: toDateStr(start), startMs: start.getTime(), contacts: [] });
+  }
+  for (const c of sliced.contacts) {
+    const booked = parseInt(c.properties?.date_demo_booked || '0', 10);
+    const cohort = cohorts.find(h => booked >= h.startMs && booked < h.startMs + 7 * 86400000);
+    if (!cohort) continue;
+    cohort.contacts.push(c);
+  }
+  // A closed-won deal counts for the cohort of the demo that originated it
+  const wonIds = new Set(sliced.deals.map(d => originatingContact(d, dealContacts)).filter(Boolean).map(c => String(c.id)));
+
+  return cohorts.map(({ start, startMs, contacts }) => {
+    const m = buildPipelineMetrics({ contacts, deals: [] }, now);
+    const showCurve = cohorts.map((_, k) => {
+      const end = startMs + (k + 1) * 7 * 86400000;
+      if (startMs + k * 7 * 86400000 > now.getTime() || contacts.length === 0) return null;
+      const shown = contacts.filter(c => c.properties?.demo_status === 'Happened'
+        && (hsDateMs(c.properties?.[CONFIG.attribution.demoDateProperty]) ?? parseInt(c.properties?.date_demo_booked || '0', 10)) < end).length;
+      return shown / contacts.length;
+    });
+    return {
+      start,
+      booked: m.demosBooked,
+      pending: m.pending,
+      happened: m.demosHappened,
+      noShow: m.noShow,
+      cancelled: m.cancelled,
+      disqualified: m.disqualified,
+      closedWon: contacts.filter(c => wonIds.has(String(c.id))).length,
+      showRate: m.showRate,
+      disqualRate: m.disqualRate,
+      showCurve,
+    };
+  });
+}
+
+// ─── SOURCE ATTRIBUTION ────────────────────────────────────────────────────────
+
+const SOURCE_LABELS = {
+  linkedin:    'LinkedIn (Paid Social)',
+  paid_social: 'Other Paid Social',
+  paid_search: 'Paid Search',
+  organic:     'Organic',
+  referral:    'Referral',
+  email:       'Email',
+  direct:      'Direct',
+  other:       'Other / Offline',
+  unknown:     'Unknown',
+};
+
+// Classify a contact by HubSpot original source (hs_analytics_source), using
+// hs_analytics_source_data_1 to tell LinkedIn apart from other paid social.
+function classifyContactSource(contact) {
+  const src = String(contact.properties?.hs_analytics_source || '').toUpperCase();
+  const detail = String(contact.properties?.hs_analytics_source_data_1 || '');
+  switch (src) {
+    case 'PAID_SOCIAL': return /linkedin/i.test(detail) ? 'linkedin' : 'paid_social';
+    case 'PAID_SEARCH': return 'paid_search';
+    case 'ORGANIC_SEARCH':
+    case 'SOCIAL_MEDIA':
+    case 'AI_REFERRALS': return 'organic';
+    case 'REFERRALS': return 'referral';
+    case 'EMAIL_MARKETING': return 'email';
+    case 'DIRECT_TRAFFIC': return 'direct';
+    case '': return 'unknown';
+    default: return 'other';
+  }
+}
+
+// Narrow a slice to LinkedIn-sourced contacts, and to deals whose originating
+// contact (see originatingContact) is LinkedIn-sourced
+function filterLinkedInSourced(sliced, dealContacts = {}) {
+  return {
+    contacts: sliced.contacts.filter(c => classifyContactSource(c) === 'linkedin'),
+    deals: sliced.deals.filter(d => {
+      const origin = originatingContact(d, dealContacts);
+      return origin && classifyContactSource(origin) === 'linkedin';
+    }),
+  };
+}
+
+// Demos booked / happened / disqualified per source class, largest first
+function buildSourceMix(contacts, now = new Date()) {
+  const mix = {};
+  for (const c of contacts) {
+    const cls = classifyContactSource(c);
+    if (!mix[cls]) mix[cls] = { label: SOURCE_LABELS[cls], demosBooked: 0, due: 0, demosHappened: 0, disqualified: 0 };
+    mix[cls].demosBooked++;
+    if (isDemoDue(c, now)) mix[cls].due++;
+    if (c.properties?.demo_status === 'Happened') mix[cls].demosHappened++;
+    if (c.properties?.disqualification_reason) mix[cls].disqualified++;
+  }
+  for (const m of Object.values(mix)) {
+    m.share = contacts.length > 0 ? m.demosBooked / contacts.length : 0;
+    m.disqualRate = m.due > 0 ? m.disqualified / m.due : 0;
+  }
+  return Object.fromEntries(Object.entries(mix).sort((a, b) => b[1].demosBooked - a[1].demosBooked));
+}
+
+// ─── CAMPAIGN ATTRIBUTION ──────────────────────────────────────────────────────
+
+// Lowercased alphanumerics only, so "US_CMO – Demo LP" matches "us-cmo-demo-lp"
+function normCampaignKey(v) {
+  return String(v || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// LinkedIn campaign for a contact: the config mapping table first, then any
+// contact campaign property that normalises to a Windsor campaign name
+function matchContactToCampaign(contact, campaignIndex) {
+  const { contactProperties, campaignMap } = CONFIG.attribution;
+  const keys = contactProperties.map(p => contact.properties?.[p]).filter(v => v && String(v).trim());
+  for (const m of campaignMap) {
+    const re = m.pattern ? new RegExp(m.pattern, 'i') : null;
+    if (keys.some(k => re ? re.test(k) : String(k).toLowerCase() === m.value.toLowerCase())) return m.campaign;
+  }
+  for (const k of keys) {
+    const hit = campaignIndex.get(normCampaignKey(k));
+    if (hit) return hit;
+  }
+  return null;
+}
+
+// Join LinkedIn-sourced contacts to campaigns and compute show/disqual rates and
+// qualified CPD (spend ÷ demos that happened and weren't disqualified) per campaign.
+// Contacts that can't be matched are the attribution gap.
+function buildCampaignQuality(contacts, campaigns, now = new Date()) {
+  const campaignIndex = new Map(Object.keys(campaigns).map(n => [normCampaignKey(n), n]));
+  const matched = {};
+  const unmatched = [];
+  const liContacts = contacts.filter(c => classifyContactSource(c) === 'linkedin');
+  for (const c of liContacts) {
+    const name = matchContactToCampaign(c, campaignIndex);
+    if (!name) { unmatched.push(c); continue; }
+    (matched[name] = matched[name] || []).push(c);
+  }
+
+  const byCampaign = {};
+  for (const [name, list] of Object.entries(matched)) {
+    const m = buildPipelineMetrics({ contacts: list, deals: [] }, now);
+    const spend = campaigns[name]?.spend || 0;
+    byCampaign[name] = {
+      matched: m.demosBooked,
+      happened: m.demosHappened,
+      disqualified: m.disqualified,
+      qualified: m.qualified,
+      showRate: m.showRate,
+      disqualRate: m.disqualRate,
+      qualifiedCpd: m.qualified > 0 ? spend / m.qualified : 0,
+    };
+  }
+
+  // What the unmatched contacts carried, so the mapping table can be extended
+  const gapValues = {};
+  for (const c of unmatched) {
+    const key = CONFIG.attribution.contactProperties.map(p => c.properties?.[p]).find(v => v && String(v).trim()) || '(no campaign value)';
+    gapValues[key] = (gapValues[key] || 0) + 1;
+  }
+
+  return {
+    campaigns: byCampaign,
+    linkedinContacts: liContacts.length,
+    matchedContacts: liContacts.length - unmatched.length,
+    unmatchedContacts: unmatched.length,
+    gapShare: liContacts.length > 0 ? unmatched.length / liContacts.length : 0,
+    gapValues: Object.entries(gapValues).sort((a, b) => b[1] - a[1]).slice(0, 5),
+  };
+}
+
+// ─── REVENUE ATTRIBUTION ───────────────────────────────────────────────────────
+
+// The associated contact whose demo was booked earliest within the lookback window
+// before the deal closed. Null when no associated contact booked a demo in that window.
+function originatingContact(deal, dealContacts, lookbackDays = CONFIG.revenue.lookbackDays) {
+  const closeMs = new Date(deal.properties?.closedate || 0).getTime();
+  const candidates = (dealContacts[String(deal.id)] || [])
+    .map(c => ({ c, booked: parseInt(c.properties?.date_demo_booked || '0', 10) }))
+    .filter(x => x.booked > 0 && x.booked <= closeMs && closeMs - x.booked <= lookbackDays * 86400000)
+    .sort((a, b) => a.booked - b.booked);
+  return candidates.length > 0 ? candidates[0].c : null;
+}
+
+// ROAS (MRR × roasMonths ÷ spend), CAC (spend ÷ deals) and months to pay back CAC
+function unitEconomics(spend, deals, mrr) {
+  const { roasMonths, grossMargin } = CONFIG.revenue;
+  const cac = deals > 0 ? spend / deals : 0;
+  const marginPerDeal = deals > 0 ? (mrr / deals) * grossMargin : 0;
+  return {
+    spend,
+    deals,
+    mrr,
+    roas: spend > 0 ? (mrr * roasMonths) / spend : 0,
+    cac,
+    paybackMonths: marginPerDeal > 0 ? cac / marginPerDeal : 0,
+  };
+}
+
+// Credit closed-won deals to their originating contact's source and LinkedIn campaign.
+// `campaigns` must cover the deals' window plus revenue.lookbackDays before it, the
+// span their demos could have been booked in, so earlier campaigns still match.
+function buildRevenueAttribution(deals, dealContacts, campaigns, liSpend) {
+  const campaignIndex = new Map(Object.keys(campaigns).map(n => [normCampaignKey(n), n]));
+  const bySource = {};
+  const byCampaign = {};
+  const unattributed = { deals: 0, mrr: 0 };
+  let liDeals = 0, liMrr = 0;
+
+  for (const d of deals) {
+    const amount = num(d.properties?.amount);
+    const origin = originatingContact(d, dealContacts);
+    if (!origin) { unattributed.deals++; unattributed.mrr += amount; continue; }
+
+    const cls = classifyContactSource(origin);
+    if (!bySource[cls]) bySource[cls] = { label: SOURCE_LABELS[cls], deals: 0, mrr: 0 };
+    bySource[cls].deals++;
+    bySource[cls].mrr += amount;
+    if (cls !== 'linkedin') continue;
+
+    liDeals++;
+    liMrr += amount;
+    const name = matchContactToCampaign(origin, campaignIndex) || '(unmatched campaign)';
+    if (!byCampaign[name]) byCampaign[name] = { deals: 0, mrr: 0 };
+    byCampaign[name].deals++;
+    byCampaign[name].mrr += amount;
+  }
+
+  const campaignsOut = {};
+  for (const [name, v] of Object.entries(byCampaign)) {
+    campaignsOut[name] = unitEconomics(campaigns[name]?.spend || 0, v.deals, v.mrr);
+  }
+  return {
+    linkedin: unitEconomics(liSpend, liDeals, liMrr),
+    campaigns: campaignsOut,
+    bySource: Object.fromEntries(Object.entries(bySource).sort((a, b) => b[1].mrr - a[1].mrr)),
+    unattributed,
+  };
+}
+
 // ─── CHANNEL AGGREGATION ───────────────────────────────────────────────────────
 
 function aggregateChannels(rows) {
@@ -263,6 +1276,33 @@ function aggregateChannels(rows) {
   return channels;
 }
 
+// Display name for a Windsor datasource, e.g. "google_ads" → "Google Ads"
+function channelLabel(ds) {
+  return CONFIG.channels.labels[ds] || ds.split('_').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+}
+
+// Every datasource with spend, largest first, with its share of spend vs share
+// of demos and a CPD benchmark: the median 30-day CPD over earlier runs in history.
+function buildChannelComparison(channels, history) {
+  const active = Object.entries(channels).filter(([, ch]) => ch.spend > 0);
+  const spend = active.reduce((s, [, ch]) => s + ch.spend, 0);
+  const demos = active.reduce((s, [, ch]) => s + ch.demos, 0);
+  const rows = active
+    .sort((a, b) => b[1].spend - a[1].spend)
+    .map(([ds, ch]) => {
+      const past = history.map(s => s.channels?.[ds]?.cpd).filter(v => v > 0);
+      return {
+        ds,
+        label: channelLabel(ds),
+        ...ch,
+        spendShare: spend > 0 ? ch.spend / spend : 0,
+        demoShare: demos > 0 ? ch.demos / demos : 0,
+        benchmark: past.length >= CONFIG.channels.benchmarkMinRuns ? { cpd: median(past), runs: past.length } : null,
+      };
+    });
+  return { rows, blended: { spend, demos, cpd: demos > 0 ? spend / demos : 0 } };
+}
+
 // Aggregate LinkedIn by campaign
 function aggregateByCampaign(rows) {
   const campaigns = {};
@@ -283,264 +1323,1505 @@ function aggregateByCampaign(rows) {
   return campaigns;
 }
 
-// ─── INTELLIGENCE ENGINE ───────────────────────────────────────────────────────
+// ─── CAMPAIGN NAMING ───────────────────────────────────────────────────────────
 
-function buildLinkedInIntelligence({ liData30, allChannels30, pipeline30, pipelinePrevMonth, budgetPaced }) {
-  const alerts = [], warnings = [], opportunities = [], wins = [];
+// Dimensions encoded in a campaign name: named groups of naming.pattern when
+// set, otherwise the name split on naming.delimiter into naming.fields.
+// Returns null when the name doesn't follow the convention.
+function parseCampaignName(name) {
+  const n = CONFIG.naming;
+  if (n.pattern) {
+    const m = new RegExp(n.pattern).exec(name);
+    if (!m || !m.groups) return null;
+    return Object.fromEntries(Object.entries(m.groups).map(([k, v]) => [k, v || '(none)']));
+  }
+  if (n.fields.length === 0) return null;
+  const parts = name.split(n.delimiter);
+  if (parts.length !== n.fields.length || parts.some(p => p.trim() === '')) return null;
+  return Object.fromEntries(n.fields.map((f, i) => [f, parts[i].trim()]));
+}
 
-  const li = liData30;
-  const totalSpend = li.spend || 0;
-  const totalDemos = li.demos || 0;
-  const cpd = li.cpd || 0;
-  const ctr = li.ctr || 0;
-  const cpm = li.cpm || 0;
+function namingDimensions() {
+  const n = CONFIG.naming;
+  if (!n.pattern) return n.fields;
+  return [...n.pattern.matchAll(/\(\?<([A-Za-z_$][\w$]*)>/g)].map(m => m[1]);
+}
 
-  // CPD vs target
-  if (cpd > CPD_TARGET * 1.5) {
-    alerts.push(`🚨 LinkedIn CPD is ${fmt$(cpd)} — ${Math.round(((cpd - CPD_TARGET) / CPD_TARGET) * 100)}% above target of ${fmt$(CPD_TARGET)}. Immediate audience/bid review recommended.`);
-  } else if (cpd > CPD_TARGET * 1.2) {
-    warnings.push(`⚠️ LinkedIn CPD at ${fmt$(cpd)} is above target (${fmt$(CPD_TARGET)}). Review top-spending campaigns for efficiency.`);
-  } else if (cpd > 0 && cpd <= CPD_TARGET) {
-    wins.push(`✅ LinkedIn CPD at ${fmt$(cpd)} is at or below target of ${fmt$(CPD_TARGET)}.`);
+// Roll campaign stats up by each name dimension:
+// { dimensions, rollups: { <dimension>: { <value>: stats } }, unmatched: [campaign names] }
+function buildNamingRollups(campaigns30) {
+  const dimensions = namingDimensions();
+  const rollups = Object.fromEntries(dimensions.map(d => [d, {}]));
+  const unmatched = [];
+  for (const [name, c] of Object.entries(campaigns30)) {
+    const dims = parseCampaignName(name);
+    if (!dims) { unmatched.push(name); continue; }
+    for (const d of dimensions) {
+      const value = dims[d] || '(none)';
+      const r = rollups[d][value] || (rollups[d][value] = { campaigns: 0, spend: 0, clicks: 0, impressions: 0, demos: 0 });
+      r.campaigns++;
+      r.spend += c.spend;
+      r.clicks += c.clicks;
+      r.impressions += c.impressions;
+      r.demos += c.demos;
+    }
   }
+  for (const values of Object.values(rollups)) {
+    for (const r of Object.values(values)) {
+      r.ctr = r.impressions > 0 ? r.clicks / r.impressions : 0;
+      r.cpm = r.impressions > 0 ? (r.spend / r.impressions) * 1000 : 0;
+      r.cpd = r.demos > 0 ? r.spend / r.demos : 0;
+    }
+  }
+  return { dimensions, rollups, unmatched: unmatched.sort((a, b) => campaigns30[b].spend - campaigns30[a].spend) };
+}
 
-  // CPD vs other channels
-  const metaCPD = allChannels30.facebook?.cpd || 0;
-  const googleCPD = allChannels30.google_ads?.cpd || 0;
-  if (cpd > 0 && metaCPD > 0 && cpd > metaCPD * 2) {
-    const savings = totalDemos > 0 ? Math.round((cpd - metaCPD) * totalDemos) : 0;
-    warnings.push(`⚠️ LinkedIn CPD (${fmt$(cpd)}) is ${Math.round(cpd/metaCPD)}x Meta CPD (${fmt$(metaCPD)}). Shifting 10% of LinkedIn budget to Meta could save ~${fmt$(savings)}/mo.`);
+// ─── CREATIVE FATIGUE ──────────────────────────────────────────────────────────
+
+// Per-ad stats for the primary window plus fatigue judged on each ad's own
+// history: CTR over its first `launchDays` delivering days vs CTR over the
+// window's last `recentDays`. Frequency is impressions over summed daily reach
+// (LinkedIn's approximate unique impressions), i.e. an average daily frequency.
+// Returns { <campaign>: [ads, best first] }.
+function buildCreativePerformance(rows, window) {
+  const cfg = CONFIG.creatives;
+  const recentFrom = toDateStr(addDays(new Date(`${window.to}T00:00:00.000Z`), -(cfg.recentDays - 1)));
+  const ads = {};
+  for (const r of rows) {
+    const key = `${r.campaign_name}\u0000${r.ad_id || r.ad_name}`;
+    const ad = ads[key] || (ads[key] = {
+      campaign: r.campaign_name || 'Unknown Campaign',
+      name: r.ad_name || `Ad ${r.ad_id}`,
+      days: {},
+      spend: 0, clicks: 0, impressions: 0, reach: 0, demos: 0,
+    });
+    const day = ad.days[r.date] || (ad.days[r.date] = { clicks: 0, impressions: 0 });
+    day.clicks += num(r.clicks);
+    day.impressions += num(r.impressions);
+    if (r.date >= window.from && r.date <= window.to) {
+      ad.spend += num(r.spend);
+      ad.clicks += num(r.clicks);
+      ad.impressions += num(r.impressions);
+      ad.reach += num(r.approximate_unique_impressions);
+      ad.demos += num(r.conversions_hubspot_meeting_booked);
+    }
   }
-  if (cpd > 0 && googleCPD > 0) {
-    opportunities.push(`💡 Google CPD is ${fmt$(googleCPD)} vs LinkedIn ${fmt$(cpd)}. Consider testing budgets on Google Search for qualified B2B intent.`);
+
+  const ctrOf = days => {
+    const t = days.reduce((acc, d) => ({ clicks: acc.clicks + d.clicks, impressions: acc.impressions + d.impressions }), { clicks: 0, impressions: 0 });
+    return { ctr: t.impressions > 0 ? t.clicks / t.impressions : 0, impressions: t.impressions };
+  };
+
+  const byCampaign = {};
+  for (const ad of Object.values(ads)) {
+    const delivering = Object.keys(ad.days).sort().filter(d => ad.days[d].impressions > 0);
+    ad.launchDate = delivering[0] || null;
+    ad.ctr = ad.impressions > 0 ? ad.clicks / ad.impressions : 0;
+    ad.cpd = ad.demos > 0 ? ad.spend / ad.demos : 0;
+    ad.frequency = ad.reach > 0 ? ad.impressions / ad.reach : null;
+
+    const launch = ctrOf(delivering.slice(0, cfg.launchDays).map(d => ad.days[d]));
+    const recent = ctrOf(delivering.filter(d => d >= recentFrom && !delivering.slice(0, cfg.launchDays).includes(d)).map(d => ad.days[d]));
+    ad.launchCtr = launch.ctr;
+    ad.recentCtr = recent.ctr;
+    ad.decay = launch.ctr > 0 && recent.impressions > 0 ? 1 - recent.ctr / launch.ctr : null;
+    ad.status = ad.impressions === 0 ? 'inactive'
+      : launch.impressions < cfg.minImpressions || recent.impressions < cfg.minImpressions ? 'learning'
+      : ad.decay > cfg.fatigueDrop ? 'fatigued' : 'healthy';
+    delete ad.days;
+    if (ad.impressions > 0) (byCampaign[ad.campaign] = byCampaign[ad.campaign] || []).push(ad);
   }
 
-  // CTR
-  if (ctr > 0 && ctr < CTR_WARN_THRESHOLD) {
-    warnings.push(`⚠️ LinkedIn CTR at ${fmtPct(ctr)} is below 0.5% benchmark. Creative refresh or audience expansion likely needed.`);
-  } else if (ctr >= 0.008) {
-    wins.push(`✅ LinkedIn CTR at ${fmtPct(ctr)} is strong (benchmark: 0.5%).`);
+  // Most demos first, cheaper CPD breaking ties, then CTR
+  for (const list of Object.values(byCampaign)) {
+    list.sort((a, b) => b.demos - a.demos || (a.cpd || Infinity) - (b.cpd || Infinity) || b.ctr - a.ctr);
   }
+  return byCampaign;
+}
+
+// ─── DAILY SERIES & ANOMALIES ──────────────────────────────────────────────────
 
-  // CPM
-  if (cpm > CPM_ALERT_THRESHOLD) {
-    alerts.push(`🚨 LinkedIn CPM at ${fmt$(cpm)} is very high. Consider narrowing or expanding audiences to reset auction dynamics.`);
-  } else if (cpm > 50) {
-    warnings.push(`⚠️ LinkedIn CPM at ${fmt$(cpm)} is elevated. Audience fatigue or narrow targeting may be driving costs up.`);
+// Per-day totals from Windsor's `date` field, for the account and each campaign:
+// { account: { 'YYYY-MM-DD': day }, campaigns: { name: { 'YYYY-MM-DD': day } } }
+function buildDailySeries(rows) {
+  const account = {};
+  const campaigns = {};
+  const add = (bucket, date, r) => {
+    if (!bucket[date]) bucket[date] = { spend: 0, clicks: 0, impressions: 0, demos: 0 };
+    bucket[date].spend += num(r.spend);
+    bucket[date].clicks += num(r.clicks);
+    bucket[date].impressions += num(r.impressions);
+    bucket[date].demos += num(r.conversions_hubspot_meeting_booked);
+  };
+  for (const r of rows) {
+    if (!r.date) continue;
+    const date = String(r.date).slice(0, 10);
+    const name = r.campaign_name || 'Unknown Campaign';
+    if (!campaigns[name]) campaigns[name] = {};
+    add(account, date, r);
+    add(campaigns[name], date, r);
   }
+  return { account, campaigns };
+}
+
+function median(xs) {
+  if (xs.length === 0) return 0;
+  const s = [...xs].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+// Robust z-score: (x − median) / (1.4826 × MAD). Falls back to the mean absolute
+// deviation when more than half the baseline is identical (MAD = 0), and never lets
+// the scale drop below 5% of the median so near-constant series don't flag noise.
+function robustZ(x, baseline) {
+  const med = median(baseline);
+  let scale = 1.4826 * median(baseline.map(v => Math.abs(v - med)));
+  if (scale === 0) scale = 1.2533 * baseline.reduce((s, v) => s + Math.abs(v - med), 0) / baseline.length;
+  scale = Math.max(scale, Math.abs(med) * 0.05);
+  return { median: med, z: scale > 0 ? (x - med) / scale : 0 };
+}
+
+// Flags spend spikes, CPM jumps, CTR collapses and zero-delivery days on `date`
+// against the trailing baseline. Account-level anomalies are alerts, campaign-level warnings.
+function detectAnomalies(series, date, cfg = CONFIG.anomalies) {
+  const empty = { spend: 0, clicks: 0, impressions: 0, demos: 0 };
+  const baselineDates = [];
+  for (let i = 1; i <= cfg.baselineDays; i++) baselineDates.push(toDateStr(addDays(new Date(date + 'T00:00:00.000Z'), -i)));
+
+  const scopes = [
+    { campaign: null, days: series.account },
+    ...Object.entries(series.campaigns).map(([campaign, days]) => ({ campaign, days })),
+  ];
+  const anomalies = [];
+  for (const { campaign, days } of scopes) {
+    const day = days[date] || empty;
+    const base = baselineDates.map(d => days[d] || empty); // most recent first
+    if (base.filter(d => d.impressions > 0).length < cfg.minBaselineDays) continue;
+    const baseSpend = base.map(d => d.spend);
+    if (median(baseSpend) < cfg.minDailySpend && day.spend < cfg.minDailySpend) continue;
+
+    const severity = campaign ? 'warning' : 'alert';
+    const label = campaign ? `"${campaign}"` : 'LinkedIn account';
+    const flag = (type, value, baseline, z, text) =>
+      anomalies.push({ type, severity, campaign, date, value, baseline, z, text: `${severity === 'alert' ? '🚨' : '⚠️'} ${text}` });
+
+    if (day.impressions === 0) {
+      if (base.slice(0, 3).every(d => d.impressions > 0)) {
+        flag('zero_delivery', 0, median(base.map(d => d.impressions)), null,
+          `Zero delivery: ${label} served no impressions on ${date} after delivering every prior day. Check campaign status, billing and ad approvals.`);
+      }
+      continue;
+    }
+
+    const spend = robustZ(day.spend, baseSpend);
+    if (spend.z > cfg.zThreshold) {
+      flag('spend_spike', day.spend, spend.median, spend.z,
+        `Spend spike: ${label} spent ${fmt$(day.spend)} on ${date} vs ${fmt$(spend.median)}/day typical (z=${spend.z.toFixed(1)}). Check for budget or bid changes.`);
+    }
+
+    const rated = base.filter(d => d.impressions >= cfg.minImpressions);
+    if (day.impressions < cfg.minImpressions || rated.length < cfg.minBaselineDays) continue;
 
-  // Disqualification rate
-  const disqual = pipeline30.disqualRate || 0;
-  if (disqual > DISQUAL_ALERT_THRESHOLD) {
-    const wastedSpend = Math.round(totalSpend * disqual);
-    alerts.push(`🚨 Disqualification rate at ${fmtPct(disqual)} of demos. Estimated ${fmt$(wastedSpend)}/mo in LinkedIn spend wasted on unqualified leads. Exclusion audiences recommended.`);
-  } else if (disqual > DISQUAL_WARN_THRESHOLD) {
-    warnings.push(`⚠️ Disqualification rate at ${fmtPct(disqual)}. Review HubSpot disqual reasons to identify targeting exclusion patterns.`);
-  } else if (disqual > 0 && disqual < 0.25) {
-    wins.push(`✅ Disqualification rate at ${fmtPct(disqual)} — below 25% threshold.`);
+    const cpm = robustZ(day.spend / day.impressions * 1000, rated.map(d => d.spend / d.impressions * 1000));
+    if (cpm.z > cfg.zThreshold) {
+      flag('cpm_jump', day.spend / day.impressions * 1000, cpm.median, cpm.z,
+        `CPM jump: ${label} CPM ${fmt$(day.spend / day.impressions * 1000)} on ${date} vs ${fmt$(cpm.median)} typical (z=${cpm.z.toFixed(1)}). Audience narrowing or auction pressure likely.`);
+    }
+    const ctr = robustZ(day.clicks / day.impressions, rated.map(d => d.clicks / d.impressions));
+    if (ctr.z < -cfg.zThreshold) {
+      flag('ctr_collapse', day.clicks / day.impressions, ctr.median, ctr.z,
+        `CTR collapse: ${label} CTR ${fmtPct(day.clicks / day.impressions)} on ${date} vs ${fmtPct(ctr.median)} typical (z=${ctr.z.toFixed(1)}). Check creative approvals and fatigue.`);
+    }
   }
+  return anomalies;
+}
 
-  // Budget pacing
-  if (budgetPaced > 1.0) {
-    alerts.push(`🚨 LinkedIn spend is over-pacing (${fmtPct(budgetPaced)} of monthly budget consumed). Reduce daily caps to avoid overspend.`);
-  } else if (budgetPaced > 0.85) {
-    warnings.push(`⚠️ LinkedIn spend pacing at ${fmtPct(budgetPaced)} of monthly budget — on track but monitor closely.`);
-  } else if (budgetPaced < 0.4) {
-    opportunities.push(`💡 LinkedIn is under-pacing at ${fmtPct(budgetPaced)} of monthly budget. If CPD is favorable, consider increasing daily budgets to capture volume.`);
+// ─── BUDGET PACING ─────────────────────────────────────────────────────────────
+
+// Month-to-date pacing against the monthly budget. Windsor data runs through
+// yesterday, so "elapsed" counts complete days and today is still remaining.
+function buildBudgetPacing({ mtdSpend, d7Spend, now, budget }) {
+  const daysInMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 0)).getUTCDate();
+  const daysElapsed = now.getUTCDate() - 1;
+  const daysRemaining = daysInMonth - daysElapsed;
+
+  const expectedToDate = budget * daysElapsed / daysInMonth;
+  const dailyRunRate = d7Spend / 7;
+  const projectedSpend = mtdSpend + dailyRunRate * daysRemaining;
+  const recommendedDaily = Math.max(0, (budget - mtdSpend) / daysRemaining);
+
+  return {
+    budget,
+    mtdSpend,
+    daysInMonth,
+    daysElapsed,
+    daysRemaining,
+    expectedToDate,
+    dailyRunRate,
+    projectedSpend,
+    recommendedDaily,
+    usedShare: budget > 0 ? mtdSpend / budget : 0,
+    expectedShare: daysElapsed / daysInMonth,
+    paceRatio: expectedToDate > 0 ? mtdSpend / expectedToDate : 0,
+    projectedShare: budget > 0 ? projectedSpend / budget : 0,
+  };
+}
+
+// ─── MONTH-END FORECAST ────────────────────────────────────────────────────────
+// Remaining days are forecast from the daily Windsor series: a recent run rate
+// shaped by day-of-week factors from the baseline. Spend gets a normal range
+// from the baseline's day-to-day scatter; demos are negative binomial (Poisson
+// with an uncertain rate), so thin baselines widen the range.
+
+const FORECAST_Z90 = 1.2816; // p90 of the standard normal
+
+// Day-of-week multipliers (0 = Sunday), each shrunk toward 1 by one pseudo-day
+// at the mean so a single odd Tuesday doesn't set the shape
+function dowFactors(days, key) {
+  const mean = days.reduce((s, d) => s + d[key], 0) / days.length;
+  const factors = [];
+  for (let w = 0; w < 7; w++) {
+    const xs = days.filter(d => d.dow === w).map(d => d[key]);
+    factors.push(mean > 0 ? (xs.reduce((s, v) => s + v, 0) + mean) / ((xs.length + 1) * mean) : 1);
   }
+  return factors;
+}
 
-  // Pipeline trend
-  const currDemos = pipeline30.demosBooked || 0;
-  const prevDemos = pipelinePrevMonth.demosBooked || 0;
-  if (prevDemos > 0) {
-    const delta = (currDemos - prevDemos) / prevDemos;
-    if (delta < -0.2) {
-      warnings.push(`⚠️ LinkedIn pipeline volume is down ${Math.abs(Math.round(delta * 100))}% vs prior month (${currDemos} vs ${prevDemos} demos). Investigate audience saturation.`);
-    } else if (delta > 0.2) {
-      wins.push(`✅ LinkedIn pipeline volume up ${Math.round(delta * 100)}% vs prior month (${currDemos} vs ${prevDemos} demos).`);
-    }
+// Quantile of a negative binomial with `r` successes and success probability `p`
+function negBinomialQuantile(q, r, p) {
+  let pmf = Math.pow(p, r);
+  let cdf = pmf;
+  let k = 0;
+  while (cdf < q && k < 100000) {
+    pmf *= (k + r) / (k + 1) * (1 - p);
+    cdf += pmf;
+    k++;
   }
+  return k;
+}
 
-  // Show rate
-  const showRate = pipeline30.showRate || 0;
-  if (showRate < 0.55) {
-    warnings.push(`⚠️ Demo show rate at ${fmtPct(showRate)}. Consider reminder sequences or qualification gate on booking page to improve quality.`);
-  } else if (showRate >= 0.75) {
-    wins.push(`✅ Demo show rate at ${fmtPct(showRate)} — healthy lead quality signal.`);
+// `series` is buildDailySeries().account for the `windowDays` ending `asOf` (yesterday);
+// `mtd` is month-to-date LinkedIn data; `qualifiedRate` turns demos into qualified demos.
+function buildMonthForecast({ series, asOf, windowDays, mtd, pacing, qualifiedRate }) {
+  const baselineDays = Math.min(CONFIG.forecast.baselineDays, windowDays);
+  const runRateDays = Math.min(CONFIG.forecast.runRateDays, baselineDays);
+  const day = (d, i) => addDays(new Date(`${d}T00:00:00.000Z`), i);
+  const base = [];
+  for (let i = baselineDays - 1; i >= 0; i--) {
+    const d = day(asOf, -i);
+    const v = series[toDateStr(d)] || { spend: 0, demos: 0 };
+    base.push({ dow: d.getUTCDay(), spend: v.spend, demos: v.demos });
   }
+  const spendF = dowFactors(base, 'spend');
+  const demoF = dowFactors(base, 'demos');
+  const remaining = [];
+  for (let i = 1; i <= pacing.daysRemaining; i++) remaining.push(day(asOf, i).getUTCDay());
+  const sumF = (f, dows) => dows.reduce((s, w) => s + f[w], 0);
 
-  // Disqual reasons actionability
-  const topDisqual = Object.entries(pipeline30.disqualReasons || {})
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 3);
-  if (topDisqual.length > 0 && topDisqual[0][1] >= 3) {
-    opportunities.push(`💡 Top disqualification reason: "${topDisqual[0][0]}" (${topDisqual[0][1]} demos). Build audience exclusion list to block this segment pre-click.`);
+  // Spend: run rate over the last runRateDays, de-seasonalised
+  const recent = base.slice(-runRateDays);
+  const baseLevel = base.reduce((s, d) => s + d.spend, 0) / sumF(spendF, base.map(d => d.dow));
+  const level = recent.reduce((s, d) => s + d.spend, 0) / sumF(spendF, recent.map(d => d.dow)) || 0;
+  const resid = baseLevel > 0 ? base.map(d => d.spend / (baseLevel * spendF[d.dow]) - 1) : [];
+  const sd = resid.length > 1 ? Math.sqrt(resid.reduce((s, r) => s + r * r, 0) / (resid.length - 1)) : 0;
+  const spendRem = level * sumF(spendF, remaining);
+  const spendSd = level * sd * Math.sqrt(remaining.reduce((s, w) => s + spendF[w] ** 2, 0));
+  const spend = {
+    p10: mtd.spend + Math.max(0, spendRem - FORECAST_Z90 * spendSd),
+    p50: mtd.spend + spendRem,
+    p90: mtd.spend + spendRem + FORECAST_Z90 * spendSd,
+  };
+
+  // Demos: baseline rate, scaled by how far the spend run rate has moved from the baseline
+  const baseDemos = base.reduce((s, d) => s + d.demos, 0);
+  const exposure = sumF(demoF, base.map(d => d.dow));
+  const exposureRem = sumF(demoF, remaining) * (baseLevel > 0 ? level / baseLevel : 1);
+  const p = exposure / (exposure + exposureRem);
+  const demosAt = q => mtd.demos + negBinomialQuantile(q, baseDemos + 0.5, p);
+  const demos = { p10: demosAt(0.1), p50: demosAt(0.5), p90: demosAt(0.9) };
+
+  const qualified = { p10: demos.p10 * qualifiedRate, p50: demos.p50 * qualifiedRate, p90: demos.p90 * qualifiedRate };
+  // More demos means a lower CPD, so the CPD range comes from the opposite demo quantiles
+  const cpdAt = n => (n > 0 ? spend.p50 / n : null);
+  const cpd = { p10: cpdAt(demos.p90), p50: cpdAt(demos.p50), p90: cpdAt(demos.p10) };
+
+  return { daysRemaining: pacing.daysRemaining, baselineDays, runRateDays, runRate: level, qualifiedRate, spend, demos, qualified, cpd };
+}
+
+// "$182.10 ($150.40–$231.00)"; p90 is open-ended when the low demo case is zero
+function fmtForecastCpd(cpd) {
+  if (cpd.p50 == null) return 'n/a';
+  return `${fmt$(cpd.p50)} (${fmt$(cpd.p10)}–${cpd.p90 != null ? fmt$(cpd.p90) : '∞'})`;
+}
+
+// ─── PERIOD COMPARISON ─────────────────────────────────────────────────────────
+
+// Each current window and the matched prior window it is compared with
+const PRIOR_WINDOW = { d7: 'prev7', d30: 'prev30', mtd: 'prevMtd' };
+
+// Relative change; null when there is no prior value to compare with
+function periodDelta(curr, prev) {
+  if (!Number.isFinite(curr) || !Number.isFinite(prev) || prev === 0) return null;
+  return (curr - prev) / Math.abs(prev);
+}
+
+// `better` is 'up', 'down' or null when neither direction is good (e.g. spend)
+function deltaTone(delta, better) {
+  if (delta === null || better === null || Math.abs(delta) < 0.005) return 'flat';
+  return (better === 'up') === (delta > 0) ? 'good' : 'bad';
+}
+
+function fmtDelta(delta) {
+  if (delta === null) return 'n/a';
+  const pct = Math.round(Math.abs(delta) * 100);
+  return pct === 0 ? '0%' : `${delta > 0 ? '▲' : '▼'} ${pct}%`;
+}
+
+function deltaText(curr, prev) {
+  return fmtDelta(periodDelta(curr, prev));
+}
+
+function deltaSlack(curr, prev, better) {
+  const delta = periodDelta(curr, prev);
+  const tone = deltaTone(delta, better);
+  return `(${tone === 'good' ? '🟢 ' : tone === 'bad' ? '🔴 ' : ''}${fmtDelta(delta)})`;
+}
+
+function deltaHtml(curr, prev, better, label) {
+  const delta = periodDelta(curr, prev);
+  const color = { good: '#22C55E', bad: '#EF4444', flat: '#9CA3AF' }[deltaTone(delta, better)];
+  return `<span style="color:${color};">${fmtDelta(delta)}</span> ${label}`;
+}
+
+// LinkedIn KPIs compared period over period
+const PERIOD_KPIS = [
+  { key: 'spend',  label: 'Spend',         fmt: n => fmt$(n),  better: null },
+  { key: 'demos',  label: 'Demos',         fmt: n => String(n), better: 'up' },
+  { key: 'cpd',    label: 'Cost Per Demo', fmt: n => fmt$(n),  better: 'down' },
+  { key: 'ctr',    label: 'CTR',           fmt: n => fmtPct(n), better: 'up' },
+  { key: 'cpm',    label: 'CPM',           fmt: n => fmt$(n),  better: 'down' },
+  { key: 'cpc',    label: 'CPC',           fmt: n => fmt$(n),  better: 'down' },
+];
+
+// ─── WEBSITE FUNNEL ────────────────────────────────────────────────────────────
+
+// LinkedIn click → closed-won funnel. Each step names where to look when its
+// conversion from the previous step is the one that fell hardest.
+// `joinsScopes`: the step's conversion divides a LinkedIn-only count by a GA4 site
+// count (or the reverse), so it only means something with LinkedIn-scoped GA4 data
+const FUNNEL_STEPS = [
+  { key: 'clicks', label: 'LinkedIn clicks' },
+  { key: 'sessions', label: 'Sessions', joinsScopes: true, area: 'landing page', fix: 'Check landing page load times and that LinkedIn UTMs survive redirects.' },
+  { key: 'demoClicks', label: 'Demo button clicks', area: 'landing page', fix: 'Review landing page message match with the ads and the demo CTA.' },
+  { key: 'demosBooked', label: 'Demos booked', joinsScopes: true, area: 'landing page', fix: 'Review the booking flow — form length, calendar availability, errors.' },
+  { key: 'demosHappened', label: 'Demos happened', area: 'qualification', fix: 'Tighten pre-demo qualification and reminder sequences.' },
+  { key: 'qualified', label: 'Qualified', area: 'ads', fix: 'Targeting is bringing in people who don\'t qualify — review audiences and exclusions.' },
+  { key: 'closedWon', label: 'Closed won', area: 'sales', fix: 'Review sales follow-up on qualified LinkedIn demos.' },
+];
+
+// Step counts and step-to-step conversion for the current and prior window.
+// Site steps use GA4's LinkedIn-attributed sessions when both windows have
+// some, all traffic otherwise (trafficScope says which). On all traffic the
+// steps that join LinkedIn and site counts have no conversion (`mixed`).
+function buildWebsiteFunnel({ li, prevLi, ga4, prevGa4, pipeline, prevPipeline }) {
+  const trafficScope = ga4.linkedin.sessions > 0 && prevGa4.linkedin.sessions > 0 ? 'linkedin' : 'all';
+  const counts = (w, g, p) => ({
+    clicks: w.clicks || 0,
+    sessions: g.sessions || 0,
+    demoClicks: g.demoClicks || 0,
+    demosBooked: p.demosBooked || 0,
+    demosHappened: p.demosHappened || 0,
+    qualified: p.qualified || 0,
+    closedWon: p.closedWon || 0,
+  });
+  const curr = counts(li, ga4[trafficScope], pipeline);
+  const prev = counts(prevLi, prevGa4[trafficScope], prevPipeline);
+  const minVolume = CONFIG.funnel.minVolume;
+
+  const steps = FUNNEL_STEPS.map((s, i) => {
+    const from = FUNNEL_STEPS[i - 1];
+    const mixed = !!s.joinsScopes && trafficScope !== 'linkedin';
+    const rate = from && !mixed && curr[from.key] > 0 ? curr[s.key] / curr[from.key] : null;
+    const prevRate = from && !mixed && prev[from.key] > 0 ? prev[s.key] / prev[from.key] : null;
+    return {
+      ...s,
+      from: from ? from.label : null,
+      count: curr[s.key],
+      prevCount: prev[s.key],
+      rate,
+      prevRate,
+      change: rate !== null && prevRate !== null ? periodDelta(rate, prevRate) : null,
+      mixed,
+      // Too few entering the step in either window to read its conversion
+      comparable: !!from && !mixed && curr[from.key] >= minVolume && prev[from.key] >= minVolume,
+    };
+  });
+
+  const worst = steps
+    .filter(s => s.comparable && s.change !== null)
+    .sort((a, b) => a.change - b.change)[0] || null;
+  return { steps, trafficScope, worst: worst && worst.change < 0 ? worst : null };
+}
+
+// ─── RULE ENGINE ───────────────────────────────────────────────────────────────
+// Intelligence items and campaign recommendations come from the rules in
+// RULES_FILE: the engine reads a metric from a context object, compares it
+// with a threshold and renders the message of the first check that passes.
+//
+//   { "intelligence": [rule, ...], "campaign": [rule, ...] }, each list in report order
+//
+//   id       stable id (alert state key); campaign hits get ":<campaign>" appended
+//   scope    "account" (one context) or "campaign" (one context per campaign)
+//   metric   a value name (below) compared by the checks
+//   when     optional conditions that must all hold, or the rule is skipped:
+//            "wow" (value present), "!wow" (absent) or { metric, op, threshold }
+//   checks   tried in order, first match wins:
+//            { severity, type?, when?, metric?, op?, threshold?, message, action? }
+//            a check's own metric replaces the rule's for that check;
+//            op is one of RULE_OPS (omit it to always match); threshold is a
+//            number, a config path ("thresholds.cpmAlert") or { config | metric,
+//            times } where times is a number or a config path.
+//            severity is alert | warning | opportunity | win (or info for
+//            campaign recommendations, which also carry an action `type`).
+//
+// A value name is a RULE_METRICS entry, "config.<path>" or a context path
+// ("li.cpd"). Templates fill {name} or {name|format} (RULE_FORMATS) from the
+// same names, plus {value} for the metric.
+
+const RULE_OPS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+};
+
+const RULE_FORMATS = {
+  money: v => (Number.isFinite(v) ? fmt$(v) : '∞'),
+  pct: v => fmtPct(v),
+  num: v => fmtNum(v),
+  percent: v => Math.abs(Math.round(v * 100)), // 0.25 → 25, sign dropped ("up 25%")
+  round: v => Math.round(v),
+};
+
+// Values a context path can't express
+const RULE_METRICS = {
+  cpdVsTarget: ctx => (ctx.li.cpd - CPD_TARGET) / CPD_TARGET,
+  metaSavings: ctx => (ctx.li.demos > 0 ? Math.round((ctx.li.cpd - ctx.metaCpd) * ctx.li.demos) : 0),
+  disqualWaste: ctx => Math.round(ctx.li.spend * ctx.pipeline.disqualRate),
+  ciText: ctx => fmtCpdInterval(ctx.ci),
+  namingCampaigns: ctx => (ctx.naming.unmatched.length === 1 ? 'campaign doesn\'t' : 'campaigns don\'t'),
+  namingThem: ctx => (ctx.naming.unmatched.length === 1 ? 'it' : 'them'),
+  namingDimensions: ctx => ctx.naming.dimensions.join(' / '),
+  namingNames: ctx => ctx.naming.unmatched.slice(0, 5).map(n => `"${n}"`).join(', ') + (ctx.naming.unmatched.length > 5 ? ', …' : ''),
+  fatiguedAds: ctx => fatiguedAds(ctx).length,
+  fatiguedAdsText: ctx => fatiguedAds(ctx).map(a => `"${a.name}" (CTR ${fmtPct(a.launchCtr)} → ${fmtPct(a.recentCtr)}, ${fmtDelta(-a.decay)})`).join(', '),
+  fatiguedThem: ctx => (fatiguedAds(ctx).length === 1 ? 'it' : 'them'),
+  forecastDemosNeeded: ctx => Math.ceil(ctx.forecast.spend.p50 / CPD_TARGET),
+  funnelDrop: ctx => -ctx.funnel.worst.change,
+};
+
+// Ads buildCreativePerformance flagged in a campaign rule context
+function fatiguedAds(ctx) {
+  return (ctx.creatives || []).filter(a => a.status === 'fatigued');
+}
+
+const RULE_SEVERITIES = ['alert', 'warning', 'opportunity', 'win', 'info'];
+const RULE_TYPES = ['pause', 'reduce', 'hold', 'scale', 'creative', 'risk'];
+
+const { intelligence: INTELLIGENCE_RULES, campaign: CAMPAIGN_RULES } = loadRules(RULES_FILE);
+
+function loadRules(file) {
+  let raw;
+  try { raw = JSON.parse(fs.readFileSync(file, 'utf8')); } catch (e) {
+    configFail(`Could not read rules from ${file}: ${e.message}`);
+  }
+  const errors = [];
+  const ids = new Set();
+  for (const list of ['intelligence', 'campaign']) {
+    if (!Array.isArray(raw?.[list])) { errors.push(`${list}: expected a list of rules`); continue; }
+    raw[list].forEach((rule, i) => {
+      const at = `${list}[${i}]${typeof rule?.id === 'string' ? ` (${rule.id})` : ''}`;
+      if (typeof rule?.id !== 'string' || rule.id === '') return errors.push(`${at}: needs an id`);
+      if (ids.has(rule.id)) errors.push(`${at}: duplicate id`);
+      ids.add(rule.id);
+      if (rule.scope !== undefined && !['account', 'campaign'].includes(rule.scope)) errors.push(`${at}.scope: expected "account" or "campaign"`);
+      checkRuleConditions(rule.when, `${at}.when`, errors);
+      if (!Array.isArray(rule.checks) || rule.checks.length === 0) return errors.push(`${at}.checks: expected a non-empty list`);
+      rule.checks.forEach((check, j) => {
+        const cat = `${at}.checks[${j}]`;
+        if (!RULE_SEVERITIES.includes(check.severity)) errors.push(`${cat}.severity: expected one of ${RULE_SEVERITIES.join(', ')}`);
+        if (check.type !== undefined && !RULE_TYPES.includes(check.type)) errors.push(`${cat}.type: expected one of ${RULE_TYPES.join(', ')}`);
+        checkRuleConditions(check.when, `${cat}.when`, errors);
+        if (check.op !== undefined) {
+          if (!RULE_OPS[check.op]) errors.push(`${cat}.op: expected one of ${Object.keys(RULE_OPS).join(' ')}`);
+          if (typeof (check.metric || rule.metric) !== 'string') errors.push(`${cat}: needs a metric to compare`);
+          checkRuleThreshold(check.threshold, `${cat}.threshold`, errors);
+        }
+        for (const k of ['message', 'action']) {
+          if (k === 'action' && check.action === undefined) continue;
+          if (typeof check[k] !== 'string' || check[k] === '') { errors.push(`${cat}.${k}: expected a non-empty string`); continue; }
+          for (const [, , fmt] of check[k].matchAll(/\{([\w.]+)(?:\|(\w+))?\}/g)) {
+            if (fmt && !RULE_FORMATS[fmt]) errors.push(`${cat}.${k}: unknown format "${fmt}" (${Object.keys(RULE_FORMATS).join(', ')})`);
+          }
+        }
+      });
+    });
+  }
+  if (errors.length > 0) configFail(`Invalid rules in ${file}:\n` + errors.map(e => `   - ${e}`).join('\n'));
+  return raw;
+}
+
+function checkRuleConditions(when, at, errors) {
+  if (when === undefined) return;
+  if (!Array.isArray(when)) return errors.push(`${at}: expected a list of conditions`);
+  when.forEach((cond, i) => {
+    if (typeof cond === 'string') return;
+    if (typeof cond?.metric !== 'string' || !RULE_OPS[cond.op]) return errors.push(`${at}[${i}]: expected a value name or { metric, op, threshold }`);
+    checkRuleThreshold(cond.threshold, `${at}[${i}].threshold`, errors);
+  });
+}
+
+// Config paths are checked against the loaded config, so a typo fails the run
+// instead of silently never matching
+function checkRuleThreshold(threshold, at, errors) {
+  const configNumber = key => (typeof getPath(CONFIG, key) === 'number' ? null : `"${key}" is not a numeric config setting`);
+  let problem;
+  if (typeof threshold === 'number') problem = null;
+  else if (typeof threshold === 'string') problem = configNumber(threshold);
+  else if (threshold && typeof threshold === 'object' && (typeof threshold.config === 'string') !== (typeof threshold.metric === 'string')) {
+    problem = (threshold.config && configNumber(threshold.config))
+      || (typeof threshold.times === 'string' ? configNumber(threshold.times) : typeof threshold.times === 'number' ? null : 'times must be a number or a config path');
+  } else problem = 'expected a number, a config path or { config | metric, times }';
+  if (problem) errors.push(`${at}: ${problem}`);
+}
+
+function getPath(obj, dotted) {
+  return dotted.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function ruleValue(name, ctx) {
+  if (RULE_METRICS[name]) return RULE_METRICS[name](ctx);
+  if (name.startsWith('config.')) return getPath(CONFIG, name.slice('config.'.length));
+  return getPath(ctx, name);
+}
+
+function ruleThreshold(threshold, ctx) {
+  if (typeof threshold === 'number') return threshold;
+  if (typeof threshold === 'string') return getPath(CONFIG, threshold);
+  const base = threshold.config ? getPath(CONFIG, threshold.config) : ruleValue(threshold.metric, ctx);
+  return base * (typeof threshold.times === 'string' ? getPath(CONFIG, threshold.times) : threshold.times);
+}
+
+// Non-numeric metrics (missing data) never compare true
+function ruleCompare(value, op, threshold) {
+  return typeof value === 'number' && Number.isFinite(value) && RULE_OPS[op](value, threshold);
+}
+
+function ruleConditionsHold(when = [], ctx) {
+  return when.every(cond => {
+    if (typeof cond !== 'string') return ruleCompare(ruleValue(cond.metric, ctx), cond.op, ruleThreshold(cond.threshold, ctx));
+    const absent = cond.startsWith('!');
+    const v = ruleValue(absent ? cond.slice(1) : cond, ctx);
+    return (v != null && v !== false) !== absent;
+  });
+}
+
+function fillTemplate(template, ctx, value) {
+  return template.replace(/\{([\w.]+)(?:\|(\w+))?\}/g, (m, name, fmt) => {
+    const v = name === 'value' ? value : ruleValue(name, ctx);
+    if (v === undefined) return m;
+    return String(fmt ? RULE_FORMATS[fmt](v) : v);
+  });
+}
+
+// The first check of `rule` that matches `ctx`, rendered, or null
+function evaluateRule(rule, ctx) {
+  if (!ruleConditionsHold(rule.when, ctx)) return null;
+  for (const check of rule.checks) {
+    if (!ruleConditionsHold(check.when, ctx)) continue;
+    const metric = check.metric || rule.metric;
+    const value = metric ? ruleValue(metric, ctx) : undefined;
+    if (check.op && !ruleCompare(value, check.op, ruleThreshold(check.threshold, ctx))) continue;
+    return {
+      id: ctx.campaign ? `${rule.id}:${ctx.campaign}` : rule.id,
+      severity: check.severity,
+      ...(check.type ? { type: check.type } : {}),
+      ...(ctx.campaign ? { campaign: ctx.campaign } : {}),
+      text: [fillTemplate(check.message, ctx, value), check.action ? fillTemplate(check.action, ctx, value) : ''].filter(Boolean).join(' '),
+    };
+  }
+  return null;
+}
+
+// Campaign-scoped rules run against each campaign context in turn (all rules
+// for one campaign before the next), then account rules run once
+function runRules(rules, { account = null, campaigns = [] }) {
+  const hits = [];
+  const push = hit => { if (hit) hits.push(hit); };
+  for (const ctx of campaigns) rules.filter(r => r.scope === 'campaign').forEach(r => push(evaluateRule(r, ctx)));
+  if (account) rules.filter(r => r.scope !== 'campaign').forEach(r => push(evaluateRule(r, account)));
+  return hits;
+}
+
+// Check rules against hand-written contexts, e.g. node linkedin_optimizer.js --test-rules cases.json
+// where cases.json is [{ "rule": "cpm", "context": { "li": { "cpm": 95 } }, "expect": "alert", "text": "very high" }].
+// `expect` is a severity or recommendation type, or null for "does not fire".
+// linkedin_optimizer.rule-cases.json (npm test) covers every rule at the default thresholds.
+function testRules(file) {
+  let cases;
+  try { cases = JSON.parse(fs.readFileSync(file, 'utf8')); } catch (e) {
+    console.error(`❌ Could not read rule cases from ${file}: ${e.message}`);
+    return EXIT_FAILED;
+  }
+  const rules = [...INTELLIGENCE_RULES, ...CAMPAIGN_RULES];
+  let failed = 0;
+  cases.forEach((tc, i) => {
+    const label = `#${i + 1} ${tc.rule} → ${tc.expect === null ? 'no hit' : tc.expect}`;
+    const rule = rules.find(r => r.id === tc.rule);
+    let hit, problem = null;
+    if (!rule) problem = 'unknown rule';
+    else {
+      try { hit = evaluateRule(rule, tc.context || {}); } catch (e) { problem = `threw ${e.message}`; }
+    }
+    if (!problem && tc.expect === null && hit) problem = `fired ${hit.type || hit.severity}: ${hit.text}`;
+    if (!problem && tc.expect !== null && !hit) problem = 'did not fire';
+    if (!problem && hit && ![hit.severity, hit.type].includes(tc.expect)) problem = `fired ${hit.type || hit.severity} instead`;
+    if (!problem && hit && tc.text && !hit.text.includes(tc.text)) problem = `text was "${hit.text}"`;
+    if (problem) failed++;
+    console.log(`${problem ? '❌' : '✅'} ${label}${problem ? ` — ${problem}` : ''}`);
+  });
+  console.log(`\n${cases.length - failed}/${cases.length} rule cases passed`);
+  return failed > 0 ? EXIT_FAILED : EXIT_CLEAN;
+}
+
+// ─── INTELLIGENCE ENGINE ───────────────────────────────────────────────────────
+
+const SEVERITY_LISTS = { alert: 'alerts', warning: 'warnings', opportunity: 'opportunities', win: 'wins' };
+const SEVERITY_EMOJI = { alert: '🚨', warning: '⚠️', opportunity: '💡', win: '✅' };
+
+// Everything INTELLIGENCE_RULES can look at. Pipeline inputs are LinkedIn-sourced
+// demos (see filterLinkedInSourced).
+function buildIntelligenceContext({ liData30, liData7, liDataPrev7, allChannels30, pipeline30, pipelinePrevMonth, pacing, campaignQuality, naming = null, funnel = null, forecast = null }) {
+  const li = { spend: liData30.spend || 0, demos: liData30.demos || 0, cpd: liData30.cpd || 0, ctr: liData30.ctr || 0, cpm: liData30.cpm || 0 };
+  const metaCpd = allChannels30.facebook?.cpd || 0;
+  const wow = CONFIG.weekOverWeek;
+  const wowEligible = liData7 && liDataPrev7 && liData7.spend >= wow.minSpend && liDataPrev7.spend >= wow.minSpend;
+  const demos = pipeline30.demosBooked || 0;
+  const prevDemos = pipelinePrevMonth.demosBooked || 0;
+  const topDisqual = Object.entries(pipeline30.disqualReasons || {}).sort((a, b) => b[1] - a[1])[0];
+  return {
+    li,
+    metaCpd,
+    metaRatio: li.cpd > 0 && metaCpd > 0 ? li.cpd / metaCpd : null,
+    googleCpd: allChannels30.google_ads?.cpd || 0,
+    wow: wowEligible ? {
+      curr: liData7,
+      prev: liDataPrev7,
+      cpdEligible: liData7.demos >= wow.minDemos && liDataPrev7.demos >= wow.minDemos,
+      cpdRise: periodDelta(liData7.cpd, liDataPrev7.cpd) || 0,
+      ctrDrop: -(periodDelta(liData7.ctr, liDataPrev7.ctr) || 0),
+      cpmRise: periodDelta(liData7.cpm, liDataPrev7.cpm) || 0,
+    } : null,
+    pipeline: {
+      demos,
+      prevDemos,
+      trend: prevDemos > 0 ? (demos - prevDemos) / prevDemos : null,
+      disqualRate: pipeline30.disqualRate || 0,
+      showRate: pipeline30.showRate || 0,
+      due: pipeline30.due || 0,
+    },
+    pacing,
+    attribution: campaignQuality,
+    naming,
+    funnel,
+    forecast,
+    topDisqual: topDisqual ? { reason: topDisqual[0], count: topDisqual[1] } : null,
+  };
+}
+
+// Items are { id, text }: `id` names the rule (and campaign, if any) so an
+// alert can be followed from run to run (see trackAlerts).
+function buildLinkedInIntelligence({ anomalies = [], ...inputs }) {
+  const out = { alerts: [], warnings: [], opportunities: [], wins: [] };
+  for (const hit of runRules(INTELLIGENCE_RULES, { account: buildIntelligenceContext(inputs) })) {
+    out[SEVERITY_LISTS[hit.severity]].push({ id: hit.id, text: `${SEVERITY_EMOJI[hit.severity]} ${hit.text}` });
+  }
+
+  // Day-over-baseline anomalies for yesterday (see detectAnomalies)
+  for (const a of anomalies) {
+    (a.severity === 'alert' ? out.alerts : out.warnings).push({ id: a.campaign ? `anomaly_${a.type}:${a.campaign}` : `anomaly_${a.type}`, text: a.text });
   }
 
-  return { alerts, warnings, opportunities, wins };
+  return out;
+}
+
+// ─── CPD CONFIDENCE ────────────────────────────────────────────────────────────
+
+// Demos per dollar for a campaign is treated as a Poisson rate with a Gamma
+// prior centred on the account average and worth `priorDemos` demos, so a
+// campaign with a handful of demos is pulled toward the account CPD and gets a
+// wide interval. CPD intervals are the inverted rate quantiles.
+
+// Inverse standard normal CDF (Acklam's rational approximation)
+function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const tail = q => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+  if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+  const q = p - 0.5, r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Gamma(shape, rate) quantile via the Wilson–Hilferty chi-square approximation
+function gammaQuantile(p, shape, rate) {
+  const k = 2 * shape;
+  const x = k * Math.pow(1 - 2 / (9 * k) + normalQuantile(p) * Math.sqrt(2 / (9 * k)), 3);
+  return Math.max(0, x) / (2 * rate);
+}
+
+// Posterior CPD interval at `level` for `demos` from `spend`, shrunk toward priorRate (demos per dollar)
+function cpdInterval(demos, spend, priorRate, level = CONFIG.campaigns.confidence) {
+  const priorDemos = CONFIG.campaigns.priorDemos;
+  const shape = priorDemos + demos;
+  const rate = (priorRate > 0 ? priorDemos / priorRate : 0) + spend;
+  if (rate <= 0) return null;
+  const rateLow = gammaQuantile((1 - level) / 2, shape, rate);
+  const rateHigh = gammaQuantile((1 + level) / 2, shape, rate);
+  return { level, low: rateHigh > 0 ? 1 / rateHigh : Infinity, high: rateLow > 0 ? 1 / rateLow : Infinity };
+}
+
+function fmtCpdInterval(ci) {
+  if (!ci) return '-';
+  const end = v => (Number.isFinite(v) ? fmt$(v) : '∞');
+  return `${end(ci.low)}–${end(ci.high)}`;
+}
+
+// Per campaign: { booked, qualified, basis } intervals. Booked demos shrink toward
+// the account's booked rate, qualified demos toward the account's qualified rate;
+// `basis` is whichever campaignCpdBasis uses for recommendations.
+function buildCpdIntervals(campaigns30, quality = {}) {
+  const entries = Object.entries(campaigns30);
+  const sum = (list, f) => list.reduce((s, x) => s + f(x), 0);
+  const bookedRate = sum(entries, ([, c]) => c.spend) > 0 ? sum(entries, ([, c]) => c.demos) / sum(entries, ([, c]) => c.spend) : 0;
+  const withQuality = entries.filter(([name]) => quality[name]);
+  const qualSpend = sum(withQuality, ([, c]) => c.spend);
+  const qualifiedRate = qualSpend > 0 ? sum(withQuality, ([name]) => quality[name].qualified) / qualSpend : 0;
+
+  const out = {};
+  for (const [name, c] of entries) {
+    const q = quality[name];
+    const booked = cpdInterval(c.demos, c.spend, bookedRate);
+    const qualified = q ? cpdInterval(q.qualified, c.spend, qualifiedRate) : null;
+    const useQualified = q && q.matched >= CONFIG.attribution.minMatchedContacts;
+    out[name] = { booked, qualified, basis: useQualified ? qualified : booked };
+  }
+  return out;
 }
 
 // ─── CAMPAIGN RECOMMENDATIONS ──────────────────────────────────────────────────
 
-function buildCampaignRecommendations(campaigns30, pipeline30) {
-  const recs = [];
-  const sorted = Object.entries(campaigns30).sort((a, b) => b[1].spend - a[1].spend);
+// CPD basis per campaign: qualified CPD from matched HubSpot contacts once
+// enough are matched (see buildCampaignQuality), Windsor-booked CPD otherwise
+function campaignCpdBasis(c, q) {
+  if (q && q.matched >= CONFIG.attribution.minMatchedContacts) {
+    // No qualified demos at all: the cost per qualified demo is at least the full spend
+    return { cpd: q.qualified > 0 ? q.qualifiedCpd : c.spend, demos: q.qualified, label: 'qualified CPD', unit: 'qualified demos' };
+  }
+  return { cpd: c.cpd, demos: c.demos, label: 'CPD', unit: 'demos' };
+}
 
+// Campaign-scoped CAMPAIGN_RULES run against { campaign, stats, share, target,
+// basis, ci, creatives } for each campaign (ci: basis CPD interval, see
+// buildCpdIntervals; creatives: its ads from buildCreativePerformance, null
+// without ad-level data); the account-scoped concentration rule against
+// { top, topShare }. Pause, reduce and scale need the whole interval past the
+// threshold; a campaign that only looks past it gets an "insufficient data"
+// hold instead.
+function buildCampaignRecommendations(campaigns30, pipeline30, quality = {}, intervals = buildCpdIntervals(campaigns30, quality), creatives = {}) {
+  const sorted = Object.entries(campaigns30).sort((a, b) => b[1].spend - a[1].spend);
   if (sorted.length === 0) {
-    recs.push({ type: 'info', text: 'No campaign-level data available for the 30-day window.' });
-    return recs;
+    return [{ type: 'info', text: 'No campaign-level data available for the selected window.' }];
   }
 
-  // Top spenders with poor CPD
   const totalSpend = sorted.reduce((s, [, v]) => s + v.spend, 0);
-  for (const [name, c] of sorted) {
-    const share = totalSpend > 0 ? c.spend / totalSpend : 0;
-    if (share > 0.3 && c.cpd > CPD_TARGET * 1.5 && c.demos < 3) {
-      recs.push({
-        type: 'pause',
-        campaign: name,
-        text: `PAUSE / REVIEW: "${name}" is consuming ${fmtPct(share)} of LinkedIn spend (${fmt$(c.spend)}) with only ${c.demos} demos (CPD: ${fmt$(c.cpd)}). Recommend pausing and reallocating budget.`,
-      });
-    } else if (share > 0.15 && c.cpd > CPD_TARGET * 1.2) {
-      recs.push({
-        type: 'reduce',
-        campaign: name,
-        text: `REDUCE BUDGET: "${name}" CPD of ${fmt$(c.cpd)} is above target. Reduce daily spend by 20-30% and monitor quality.`,
+  const campaigns = sorted.map(([name, c]) => ({
+    campaign: name,
+    stats: c,
+    share: totalSpend > 0 ? c.spend / totalSpend : 0,
+    target: cpdTargetFor(name),
+    basis: campaignCpdBasis(c, quality[name]),
+    ci: intervals[name].basis,
+    creatives: creatives[name] || null,
+  }));
+  const account = { top: sorted[0][0], topShare: totalSpend > 0 ? sorted[0][1].spend / totalSpend : 0 };
+  return runRules(CAMPAIGN_RULES, { account, campaigns });
+}
+
+// ─── AUDIENCE EXCLUSIONS ───────────────────────────────────────────────────────
+
+const FIRMOGRAPHIC_LABELS = {
+  jobTitle: 'Job title',
+  seniority: 'Seniority',
+  companySize: 'Company size',
+  industry: 'Industry',
+  companyAge: 'Company age',
+};
+
+// Employee counts bucketed like HubSpot's contact "numemployees" options
+const COMPANY_SIZE_BUCKETS = [[5, '1-5'], [25, '5-25'], [50, '25-50'], [100, '50-100'], [500, '100-500'], [1000, '500-1000'], [Infinity, '1000+']];
+
+// Segment values for one contact; the associated company wins over the contact's own fields
+function contactFirmographics(contact, company, now) {
+  const p = contact.properties || {};
+  const cp = company?.properties || {};
+  const title = (p.jobtitle || '').toLowerCase();
+  const keyword = CONFIG.audience.titleKeywords.find(k => hasWholeWord(title, k));
+  const employees = Number(cp.numberofemployees);
+  const founded = Number(cp.founded_year);
+  const age = founded > 0 ? now.getUTCFullYear() - founded : null;
+  return {
+    jobTitle: keyword ? `"${keyword}"` : title ? 'other titles' : null,
+    seniority: p.hs_seniority || null,
+    companySize: cp.numberofemployees && employees >= 0 ? COMPANY_SIZE_BUCKETS.find(([max]) => employees <= max)[1] : p.numemployees || null,
+    industry: cp.industry || p.industry || null,
+    companyAge: age === null ? null : age < 1 ? 'under 1 year' : age <= 2 ? '1-2 years' : age <= 5 ? '3-5 years' : '6+ years',
+  };
+}
+
+// Keyword as whole words of the text, case-insensitive. The keyword is literal, so
+// "c++" or "(sales)" work; letters and digits can't touch it on either side.
+function hasWholeWord(text, keyword) {
+  const literal = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${literal}(?![\\p{L}\\p{N}])`, 'iu').test(text);
+}
+
+// Lower/upper Wilson score bound for k of n at one-sided `confidence`
+function wilsonBound(k, n, confidence, upper = false) {
+  if (n === 0) return upper ? 1 : 0;
+  const z = normalQuantile(confidence);
+  const p = k / n;
+  const centre = p + z * z / (2 * n);
+  const spread = z * Math.sqrt(p * (1 - p) / n + z * z / (4 * n * n));
+  return (upper ? centre + spread : centre - spread) / (1 + z * z / n);
+}
+
+// Firmographic segments of LinkedIn-sourced demos with a recorded outcome.
+// Exclusion candidates are disqualified at minLift × the overall rate or more,
+// with the rate's lower bound still above overall; layering candidates are the
+// mirror image. Spend at risk prices a segment's disqualified demos at `cpd`.
+function buildAudienceExclusions(contacts, contactCompanies, { cpd, now }) {
+  const cfg = CONFIG.audience;
+  // Disqualified demos are compared with qualified ones (happened, not disqualified);
+  // a no-show or cancellation says nothing about whether the contact fit
+  const judged = contacts.filter(c => c.properties?.disqualification_reason || c.properties?.demo_status === 'Happened');
+  const rows = judged.map(c => ({
+    disqualified: !!c.properties?.disqualification_reason,
+    segments: contactFirmographics(c, contactCompanies[String(c.id)], now),
+  }));
+  const demos = rows.length;
+  const disqualified = rows.filter(r => r.disqualified).length;
+  const baseline = demos > 0 ? disqualified / demos : 0;
+
+  const segments = [];
+  for (const dimension of Object.keys(FIRMOGRAPHIC_LABELS)) {
+    const groups = {};
+    for (const r of rows) {
+      const value = r.segments[dimension];
+      if (!value) continue;
+      const g = groups[value] || (groups[value] = { demos: 0, disqualified: 0 });
+      g.demos++;
+      if (r.disqualified) g.disqualified++;
+    }
+    for (const [value, g] of Object.entries(groups)) {
+      if (g.demos < cfg.minSegmentDemos) continue;
+      segments.push({
+        dimension,
+        label: FIRMOGRAPHIC_LABELS[dimension],
+        value,
+        ...g,
+        rate: g.disqualified / g.demos,
+        lift: baseline > 0 ? (g.disqualified / g.demos) / baseline : 0,
+        // Qualified demos per demo booked, relative to the account: what a demo from this segment is worth
+        qualifiedRatio: baseline < 1 ? (1 - g.disqualified / g.demos) / (1 - baseline) : 0,
+        low: wilsonBound(g.disqualified, g.demos, cfg.confidence),
+        high: wilsonBound(g.disqualified, g.demos, cfg.confidence, true),
+        spendAtRisk: g.disqualified * cpd,
       });
     }
+  }
 
-    // Winners to scale
-    if (c.cpd > 0 && c.cpd < CPD_TARGET * 0.8 && c.demos >= 3) {
-      recs.push({
-        type: 'scale',
+  return {
+    demos,
+    disqualified,
+    baseline,
+    enough: demos >= cfg.minDemos,
+    exclusions: segments
+      .filter(s => s.rate >= baseline * cfg.minLift && s.low > baseline)
+      .sort((a, b) => b.spendAtRisk - a.spendAtRisk)
+      .slice(0, cfg.maxCandidates),
+    layering: segments
+      .filter(s => s.rate <= baseline / cfg.minLift && s.high < baseline)
+      .sort((a, b) => a.rate - b.rate || b.demos - a.demos)
+      .slice(0, cfg.maxCandidates),
+  };
+}
+
+// Audience targeting recommendations: exclusions, layering and bid caps from
+// firmographic segments (see buildAudienceExclusions) once there are enough demos
+// to judge, the static playbook otherwise. A segment's bid scales the CPD target
+// by how often its demos qualify relative to the account.
+function buildAudiencePlaybook(pipeline30, audience = null) {
+  const disqualReasons = pipeline30.disqualReasons || {};
+  const topDisquals = Object.entries(disqualReasons).sort((a, b) => b[1] - a[1]).slice(0, 5);
+
+  const dataDriven = !!audience && audience.enough;
+  const evidence = s => `${s.disqualified}/${s.demos} disqualified (${fmtPct(s.rate)} vs ${fmtPct(audience.baseline)} overall)`;
+  const bidFor = s => `${fmt$(CPD_TARGET * s.qualifiedRatio)} per demo (${s.qualifiedRatio.toFixed(2)}× target)`;
+  return {
+    source: dataDriven
+      ? `Based on ${audience.demos} LinkedIn-sourced demos that qualified or were disqualified, ${fmtPct(audience.baseline)} disqualified.`
+      : `Standard playbook — only ${audience ? audience.demos : 0} LinkedIn-sourced demos qualified or were disqualified, too few to find segments (need ${CONFIG.audience.minDemos}).`,
+    exclusions: !dataDriven ? [
+      'Company age < 6 months (pre-revenue brands)',
+      'Job title contains: "Student", "Intern", "Freelance"',
+      'Company size: 1-5 employees (solo operators)',
+      ...topDisquals.map(([r]) => `Disqual pattern: "${r}" — build audience exclusion`),
+    ] : audience.exclusions.length > 0
+      ? audience.exclusions.map(s => `${s.label}: ${s.value} — ${evidence(s)}, ~${fmt$(s.spendAtRisk)} spend at risk`)
+      : ['No firmographic segment is disqualified disproportionately — no new exclusions needed.'],
+    layeringStrategies: dataDriven && audience.layering.length > 0
+      ? audience.layering.map(s => `${s.label}: ${s.value} — only ${evidence(s)}; layer into prospecting audiences`)
+      : [
+      'Job title (e.g., CEO, CMO, Marketing Director) + Company size (11-200) + Industry (Health & Wellness)',
+      'Retargeting: Engaged with LinkedIn page + visited frontrowmd.com (matched audience)',
+      'Lookalike: Upload closed-won customer list for LinkedIn Matched Audience expansion',
+      'Interest-based: "Marketing & Advertising" + "E-Commerce" + "Health & Wellness"',
+      'Account-based: Upload ICP company list for Account Targeting in Campaign Manager',
+    ],
+    bidStrategy: dataDriven ? [
+      ...audience.layering.map(s => `${s.label}: ${s.value} — ${s.lift.toFixed(2)}× the overall disqual rate; Target Cost up to ${bidFor(s)} on audiences layered with it`),
+      ...audience.exclusions.map(s => `${s.label}: ${s.value} — ${s.lift.toFixed(2)}× the overall disqual rate; where it can't be excluded, cap bids at ${bidFor(s)}`),
+    ].concat(audience.layering.length + audience.exclusions.length > 0 ? []
+      : [`No segment's disqual rate differs enough to bid it differently — keep one Target Cost at ${fmt$(CPD_TARGET)} per demo.`]) : [
+      'Test: "Maximum Delivery" (auto bid) vs. "Target Cost" at $120-140 CPD',
+      'If CPM > $60: Switch from "Reach" objective to "Lead Gen Form" to improve lead quality',
+      'For retargeting campaigns: Manual CPC with $8-12 bid cap (smaller audience, higher intent)',
+      'For prospecting: Start with auto bid to gather data, then switch to target cost once 30+ conversions',
+    ],
+  };
+}
+
+// ─── BUDGET REALLOCATION ───────────────────────────────────────────────────────
+
+// Splits the daily budget left for the month across LinkedIn campaigns. Each
+// campaign is modelled as demos = current demos × (budget / current budget)^elasticity,
+// so every extra dollar buys a little less than the one before; budget goes in
+// small steps to whichever campaign buys the most demos with the next step,
+// within the per-campaign change limits and only while that step's marginal CPD
+// is under the campaign's CPD target × cpd.alertMultiple. Budget no campaign can
+// take on those terms is left unallocated. `flagged` maps campaign → its pause/reduce
+// recommendation; those never grow. Windows are the campaign data's days.
+function buildBudgetReallocation(campaigns30, { days, dailyBudget, daysRemaining, flagged = {} }) {
+  const r = CONFIG.reallocation;
+  const rows = Object.entries(campaigns30)
+    .filter(([, c]) => c.spend > 0)
+    .sort((a, b) => b[1].spend - a[1].spend)
+    .map(([name, c]) => {
+      const currentDaily = c.spend / days;
+      const lowData = c.demos < r.minDemos;
+      const min = currentDaily * (1 - r.maxDecrease);
+      return {
         campaign: name,
-        text: `SCALE: "${name}" has a CPD of ${fmt$(c.cpd)} — below target. Increase budget by 20-30% to capture more volume.`,
-      });
+        lowData,
+        flag: flagged[name] || null,
+        currentDaily,
+        dailyDemos: c.demos / days,
+        maxCpd: cpdTargetFor(name) * CONFIG.cpd.alertMultiple,
+        min,
+        // Pause takes the largest allowed cut; reduce, or too little data to trust
+        // the curve, can keep its budget but not grow
+        max: flagged[name] === 'pause' ? min
+          : flagged[name] === 'reduce' || lowData ? currentDaily
+          : currentDaily * (1 + r.maxIncrease),
+      };
+    });
+  if (rows.length === 0) return null;
+
+  const demosAt = (row, daily) => row.dailyDemos * Math.pow(daily / row.currentDaily, r.elasticity);
+  const currentTotal = rows.reduce((s, x) => s + x.currentDaily, 0);
+  const floor = rows.reduce((s, x) => s + x.min, 0);
+  const ceiling = rows.reduce((s, x) => s + x.max, 0);
+
+  let note = null;
+  if (dailyBudget <= floor) {
+    // Even the largest allowed cuts overspend: cut everyone proportionally instead
+    rows.forEach(x => { x.proposedDaily = floor > 0 ? x.min * dailyBudget / floor : 0; });
+    note = dailyBudget > 0
+      ? `Remaining budget needs cuts beyond the ${Math.round(r.maxDecrease * 100)}% per-campaign limit; every campaign is cut proportionally.`
+      : `The ${fmt$(LI_MONTHLY_BUDGET)} monthly budget is already spent; campaigns should stay paused until next month.`;
+  } else {
+    rows.forEach(x => { x.proposedDaily = x.min; });
+    const step = Math.max(1, dailyBudget / 500);
+    let left = dailyBudget - floor;
+    while (left > 0.005) {
+      let best = null, bestGain = 0;
+      for (const x of rows) {
+        const room = Math.min(step, left, x.max - x.proposedDaily);
+        if (room <= 0) continue;
+        const demos = demosAt(x, x.proposedDaily + room) - demosAt(x, x.proposedDaily);
+        if (!(demos > 0) || room / demos > x.maxCpd) continue;
+        if (demos / room > bestGain) { best = x; bestGain = demos / room; }
+      }
+      if (!best) break;
+      const add = Math.min(step, left, best.max - best.proposedDaily);
+      best.proposedDaily += add;
+      left -= add;
+    }
+    if (left > 0.005) {
+      note = rows.every(x => x.proposedDaily >= x.max - 0.005)
+        ? `Change limits cap LinkedIn at ${fmt$(ceiling)}/day; ${fmt$(left)}/day of remaining budget is left unallocated.`
+        : `${fmt$(left)}/day of remaining budget is left unallocated — no campaign can take more while its marginal CPD stays under ${CONFIG.cpd.alertMultiple}× its CPD target.`;
     }
+  }
 
-    // CTR red flags
-    if (c.ctr < 0.003 && c.impressions > 5000) {
-      recs.push({
-        type: 'creative',
-        campaign: name,
-        text: `REFRESH CREATIVE: "${name}" CTR is ${fmtPct(c.ctr)} with ${fmtNum(c.impressions)} impressions. Ad creative is fatigued — rotate new variants.`,
-      });
+  for (const x of rows) {
+    x.change = x.currentDaily > 0 ? x.proposedDaily / x.currentDaily - 1 : 0;
+    x.currentDemos = x.dailyDemos * daysRemaining;
+    x.expectedDemos = demosAt(x, x.proposedDaily) * daysRemaining;
+    x.currentCpd = x.currentDemos > 0 ? x.currentDaily * daysRemaining / x.currentDemos : 0;
+    x.expectedCpd = x.expectedDemos > 0 ? x.proposedDaily * daysRemaining / x.expectedDemos : 0;
+  }
+  const sum = key => rows.reduce((s, x) => s + x[key], 0);
+  const proposedTotal = sum('proposedDaily');
+  return {
+    dailyBudget,
+    daysRemaining,
+    rows,
+    current: { daily: currentTotal, demos: sum('currentDemos'), cpd: sum('currentDemos') > 0 ? currentTotal * daysRemaining / sum('currentDemos') : 0 },
+    proposed: { daily: proposedTotal, demos: sum('expectedDemos'), cpd: sum('expectedDemos') > 0 ? proposedTotal * daysRemaining / sum('expectedDemos') : 0 },
+    note,
+  };
+}
+
+// ─── ALERT STATE ───────────────────────────────────────────────────────────────
+// Alerts and warnings are tracked by id between runs, so delivery can call out
+// what is new, escalated or resolved instead of repeating every open item.
+
+const SEVERITY_RANK = { warning: 1, alert: 2 };
+const ALERT_STATUS_LABELS = { new: 'NEW', escalated: 'ESCALATED', persisting: 'OPEN', snoozed: 'SNOOZED' };
+
+function loadAlertState(file = ALERT_STATE_FILE) {
+  const empty = { updatedAt: null, alerts: {} };
+  if (!fs.existsSync(file)) return empty;
+  let state;
+  try { state = JSON.parse(fs.readFileSync(file, 'utf8')); } catch (e) {
+    console.warn(`⚠️  Ignoring unreadable alert state ${file}: ${e.message}`);
+    return empty;
+  }
+  if (state.snoozes && Object.keys(state.snoozes).length > 0) {
+    console.warn(`⚠️  Ignoring snoozes in ${file} — move them to "snoozes" in the config file`);
+  }
+  return { updatedAt: state.updatedAt || null, alerts: state.alerts || {} };
+}
+
+// Never goes back in time: state older than what's stored (a back-dated run)
+// would reopen alerts and reset their ages, so it's refused. Returns whether it wrote.
+function saveAlertState(state, file = ALERT_STATE_FILE) {
+  try {
+    const stored = loadAlertState(file).updatedAt;
+    if (stored && state.updatedAt < stored) {
+      console.warn(`⚠️  Not updating alert state: ${file} is from ${stored}, this run is as of ${state.updatedAt}`);
+      return false;
     }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(state, null, 2) + '\n', 'utf8');
+    console.log(`🗂️  Alert state updated: ${file}`);
+    return true;
+  } catch (e) {
+    console.error('Alert state write error:', e.message);
+    return false;
   }
+}
 
-  // Concentration risk
-  if (sorted.length > 0) {
-    const topShare = totalSpend > 0 ? sorted[0][1].spend / totalSpend : 0;
-    if (topShare > 0.6) {
-      recs.push({
-        type: 'risk',
-        text: `CONCENTRATION RISK: Top campaign "${sorted[0][0]}" absorbs ${fmtPct(topShare)} of LinkedIn budget. Diversify into 2-3 parallel campaigns to reduce risk.`,
-      });
+// Classify today's alerts/warnings against the previous run's state. Status is
+// new, persisting, escalated (severity went up, or open escalateAfterDays —
+// flagged once) or snoozed (until its date, inclusive). Items gone since last
+// run are returned as resolved. `state` is what to persist for the next run.
+function trackAlerts(intelligence, previous, today, snoozes = CONFIG.snoozes) {
+  const prev = previous.alerts;
+  const alerts = {};
+  const items = [];
+  for (const [severity, list] of [['alert', intelligence.alerts], ['warning', intelligence.warnings]]) {
+    for (const { id, text } of list) {
+      const before = prev[id];
+      const firstSeen = before ? before.firstSeen : today;
+      const days = Math.round((toMs(today) - toMs(firstSeen)) / 86400000) + 1;
+      const snoozedUntil = snoozes[id] >= today ? snoozes[id] : null;
+      let status = 'persisting';
+      if (snoozedUntil) status = 'snoozed';
+      else if (!before) status = 'new';
+      else if (SEVERITY_RANK[severity] > SEVERITY_RANK[before.severity]) status = 'escalated';
+      else if (days >= CONFIG.alertState.escalateAfterDays && !before.escalatedOn) status = 'escalated';
+      const escalatedOn = status === 'escalated' ? today : before?.escalatedOn;
+      alerts[id] = { severity, text, firstSeen, lastSeen: today, ...(escalatedOn ? { escalatedOn } : {}) };
+      items.push({ id, severity, text, status, days, snoozedUntil });
     }
   }
+  const resolved = Object.entries(prev)
+    .filter(([id]) => !alerts[id])
+    .map(([id, a]) => ({ id, severity: a.severity, text: a.text, days: Math.round((toMs(a.lastSeen) - toMs(a.firstSeen)) / 86400000) + 1 }));
 
-  return recs;
+  const byStatus = status => items.filter(i => i.status === status);
+  return {
+    items,
+    byId: Object.fromEntries(items.map(i => [i.id, i])),
+    new: byStatus('new'),
+    escalated: byStatus('escalated'),
+    persisting: byStatus('persisting'),
+    snoozed: byStatus('snoozed'),
+    resolved,
+    state: { updatedAt: today, alerts },
+  };
+}
+
+// Short status tag for an item, e.g. "NEW", "OPEN 4d", "SNOOZED → 2026-11-01"
+function alertTag(item) {
+  if (!item) return '';
+  if (item.status === 'persisting') return `${ALERT_STATUS_LABELS.persisting} ${item.days}d`;
+  if (item.status === 'snoozed') return `${ALERT_STATUS_LABELS.snoozed} → ${item.snoozedUntil}`;
+  if (item.status === 'escalated') return `${ALERT_STATUS_LABELS.escalated} · ${item.days}d`;
+  return ALERT_STATUS_LABELS[item.status];
+}
+
+// ─── RUN HISTORY ───────────────────────────────────────────────────────────────
+
+// Compact per-run snapshot; `date` is the run date and is the dedupe key
+function buildHistorySnapshot({ windows, liData, allChannels, pipelines, liPipelines, intelligence, campaigns30, pacing, now }) {
+  const campaigns = {};
+  for (const [name, c] of Object.entries(campaigns30)) {
+    campaigns[name] = { spend: c.spend, clicks: c.clicks, impressions: c.impressions, demos: c.demos, cpd: c.cpd, ctr: c.ctr, cpm: c.cpm };
+  }
+  const channels = {};
+  for (const [ds, ch] of Object.entries(allChannels.d30)) {
+    channels[ds] = { spend: ch.spend, demos: ch.demos, cpd: ch.cpd };
+  }
+  return {
+    v: 1,
+    date: toDateStr(now),
+    recordedAt: now.toISOString(),
+    window: { from: windows.d30.from, to: windows.d30.to },
+    liData,
+    pipelines,
+    liPipelines,
+    pacing,
+    intelligence: {
+      alerts: intelligence.alerts.length,
+      warnings: intelligence.warnings.length,
+      opportunities: intelligence.opportunities.length,
+      wins: intelligence.wins.length,
+    },
+    campaigns,
+    channels,
+  };
 }
 
-// Audience targeting recommendations (static playbook)
-function buildAudiencePlaybook(pipeline30) {
-  const disqualReasons = pipeline30.disqualReasons || {};
-  const topDisquals = Object.entries(disqualReasons).sort((a, b) => b[1] - a[1]).slice(0, 5);
+// Adds the snapshot (replacing any for its date) and drops snapshots older than
+// history.retentionDays, so the file stays bounded. Written to a temp file and
+// renamed over the old one, so earlier runs survive this process dying mid-write.
+function appendHistory(snapshot, file = HISTORY_FILE) {
+  try {
+    const keepFrom = toDateStr(addDays(new Date(snapshot.date + 'T00:00:00.000Z'), -(CONFIG.history.retentionDays - 1)));
+    const kept = [];
+    let dropped = 0;
+    if (fs.existsSync(file)) {
+      for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        let snap;
+        try { snap = JSON.parse(line); } catch { dropped++; continue; }
+        if (!snap || typeof snap.date !== 'string' || snap.date < keepFrom) { dropped++; continue; }
+        if (snap.date !== snapshot.date) kept.push(line);
+      }
+    }
+    kept.push(JSON.stringify(snapshot));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, kept.join('\n') + '\n', 'utf8');
+    fs.renameSync(tmp, file);
+    console.log(`🗂️  History updated: ${file}${dropped > 0 ? ` (pruned ${dropped} old or unreadable line(s))` : ''}`);
+  } catch (e) { console.error('History write error:', e.message); }
+}
 
-  return {
-    exclusions: [
-      'Company age < 6 months (pre-revenue brands)',
-      'Job title contains: "Student", "Intern", "Freelance"',
-      'Company size: 1-5 employees (solo operators)',
-      ...topDisquals.map(([r]) => `Disqual pattern: "${r}" — build audience exclusion`),
-    ],
-    layeringStrategies: [
-      'Job title (e.g., CEO, CMO, Marketing Director) + Company size (11-200) + Industry (Health & Wellness)',
-      'Retargeting: Engaged with LinkedIn page + visited frontrowmd.com (matched audience)',
-      'Lookalike: Upload closed-won customer list for LinkedIn Matched Audience expansion',
-      'Interest-based: "Marketing & Advertising" + "E-Commerce" + "Health & Wellness"',
-      'Account-based: Upload ICP company list for Account Targeting in Campaign Manager',
-    ],
-    bidStrategy: [
-      'Test: "Maximum Delivery" (auto bid) vs. "Target Cost" at $120-140 CPD',
-      'If CPM > $60: Switch from "Reach" objective to "Lead Gen Form" to improve lead quality',
-      'For retargeting campaigns: Manual CPC with $8-12 bid cap (smaller audience, higher intent)',
-      'For prospecting: Start with auto bid to gather data, then switch to target cost once 30+ conversions',
-    ],
-  };
+// Snapshots from the `days` days up to and including asOf, one per date (latest
+// write wins), oldest first. Unparseable lines are skipped, not fatal.
+function loadHistory(asOf, days = HISTORY_DAYS, file = HISTORY_FILE) {
+  if (!fs.existsSync(file)) return [];
+  const from = toDateStr(addDays(new Date(asOf + 'T00:00:00.000Z'), -(days - 1)));
+  const byDate = new Map();
+  let skipped = 0;
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    let snap;
+    try { snap = JSON.parse(line); } catch { skipped++; continue; }
+    if (!snap || typeof snap.date !== 'string') { skipped++; continue; }
+    if (snap.date < from || snap.date > asOf) continue;
+    byDate.set(snap.date, snap);
+  }
+  if (skipped > 0) console.warn(`⚠️  Skipped ${skipped} unreadable history line(s) in ${file}`);
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
 }
 
+// KPIs charted on the dashboard; `better` is the direction of improvement
+const TREND_KPIS = [
+  { label: 'LinkedIn CPD (30d)',  get: s => s.liData?.d30?.cpd || null,    fmt: n => fmt$(n),  better: 'down' },
+  { label: 'LinkedIn CTR (30d)',  get: s => s.liData?.d30?.ctr,            fmt: n => fmtPct(n), better: 'up' },
+  { label: 'LinkedIn CPM (30d)',  get: s => s.liData?.d30?.cpm || null,    fmt: n => fmt$(n),  better: 'down' },
+  { label: 'Spend (7d)',          get: s => s.liData?.d7?.spend,           fmt: n => fmt$(n),  better: null },
+  { label: 'LI Disqual Rate (30d)', get: s => s.liPipelines?.d30?.disqualRate, fmt: n => fmtPct(n), better: 'down' },
+  { label: 'LI Show Rate (30d)',  get: s => s.liPipelines?.d30?.showRate,  fmt: n => fmtPct(n), better: 'up' },
+];
+
 // ─── REPORT BUILDERS ──────────────────────────────────────────────────────────
 
-function buildTextReport({ windows, liData, allChannels, pipelines, intelligence, campaignRecs, audiencePlaybook, campaigns30 }) {
+function buildTextReport({ windows, liData, pipelines, liPipelines, sourceMix30, campaignQuality30, revenue30, revenuePrev30, intelligence, alertStatus, campaignRecs, reallocation, audiencePlaybook, campaigns30, cpdIntervals, naming30, creatives30, funnel30, channelComparison, cohorts, pacing, forecast, now = new Date() }) {
   const w = windows;
   const lines = [];
 
   lines.push('='.repeat(70));
   lines.push('FRONTROWMD — LINKEDIN CAMPAIGN OPTIMIZER REPORT');
-  lines.push(`Generated: ${new Date().toLocaleString('en-US', { timeZone: 'America/New_York' })} ET`);
-  lines.push(`Period: ${w.d30.from} → ${w.d30.to} (primary: 30-day)`);
+  lines.push(`Generated: ${now.toLocaleString('en-US', { timeZone: 'America/New_York' })} ET`);
+  const n = w.d30.days;
+  lines.push(`Period: ${w.d30.from} → ${w.d30.to} (primary: ${n}-day)`);
   lines.push('='.repeat(70));
 
+  // ── EFFECTIVE CONFIG ──
+  lines.push('\n── EFFECTIVE CONFIG ────────────────────────────────────────────────────\n');
+  describeConfig().forEach(l => lines.push(l));
+
   // ── EXECUTIVE SUMMARY ──
   lines.push('\n── EXECUTIVE SUMMARY ──────────────────────────────────────────────────\n');
   const li30 = liData.d30;
   const li7 = liData.d7;
+  const prev30 = liData.prev30;
   const pipeline = pipelines.d30;
-  lines.push(`LinkedIn 30-Day Performance:`);
-  lines.push(`  Total Spend:    ${fmt$(li30.spend)}`);
-  lines.push(`  Total Demos:    ${li30.demos}`);
-  lines.push(`  Cost Per Demo:  ${fmt$(li30.cpd)} (target: ${fmt$(CPD_TARGET)})`);
-  lines.push(`  CTR:            ${fmtPct(li30.ctr)}`);
-  lines.push(`  CPM:            ${fmt$(li30.cpm)}`);
-  lines.push(`  CPC:            ${fmt$(li30.cpc)}`);
+  const liPipeline = liPipelines.d30;
+  const liPipelinePrev = liPipelines.prev30;
+  lines.push(`LinkedIn ${n}-Day Performance (change vs prior ${n} days, ${w.prev30.from} → ${w.prev30.to}):`);
+  lines.push(`  Total Spend:    ${padStr(fmt$(li30.spend), 12)}${deltaText(li30.spend, prev30.spend)}`);
+  lines.push(`  Total Demos:    ${padStr(li30.demos, 12)}${deltaText(li30.demos, prev30.demos)}`);
+  lines.push(`  Cost Per Demo:  ${padStr(fmt$(li30.cpd), 12)}${padStr(deltaText(li30.cpd, prev30.cpd), 10)}(target: ${fmt$(CPD_TARGET)})`);
+  lines.push(`  CTR:            ${padStr(fmtPct(li30.ctr), 12)}${deltaText(li30.ctr, prev30.ctr)}`);
+  lines.push(`  CPM:            ${padStr(fmt$(li30.cpm), 12)}${deltaText(li30.cpm, prev30.cpm)}`);
+  lines.push(`  CPC:            ${padStr(fmt$(li30.cpc), 12)}${deltaText(li30.cpc, prev30.cpc)}`);
+  lines.push('');
+  const comparison = (heading, currLabel, curr, prev) => {
+    lines.push(heading);
+    lines.push(`  ${padStr('', 16)}${padStr(currLabel, 12)}${padStr('Prior', 12)}Change`);
+    PERIOD_KPIS.forEach(k => lines.push(`  ${padStr(k.label + ':', 16)}${padStr(k.fmt(curr[k.key]), 12)}${padStr(k.fmt(prev[k.key]), 12)}${deltaText(curr[k.key], prev[k.key])}`));
+    lines.push('');
+  };
+  comparison(`Week over Week (${w.d7.from} → ${w.d7.to} vs ${w.prev7.from} → ${w.prev7.to}):`, 'Last 7d', liData.d7, liData.prev7);
+  if (w.mtd.from <= w.mtd.to) {
+    comparison(`Month to Date vs Prior MTD (${w.mtd.from} → ${w.mtd.to} vs ${w.prevMtd.from} → ${w.prevMtd.to}):`, 'MTD', liData.mtd, liData.prevMtd);
+  }
+  lines.push(`Budget Pacing (${w.mtd.from} → ${w.mtd.to}, day ${pacing.daysElapsed} of ${pacing.daysInMonth}):`);
+  lines.push(`  MTD Spend:      ${fmt$(pacing.mtdSpend)} of ${fmt$(pacing.budget)} (${fmtPct(pacing.usedShare)}) · ${deltaText(pacing.mtdSpend, liData.prevMtd.spend)} vs prior MTD`);
+  lines.push(`  Expected:       ${fmt$(pacing.expectedToDate)} to date  (Pace: ${fmtPct(pacing.paceRatio)} of plan)`);
+  lines.push(`  Run-Rate:       ${fmt$(pacing.dailyRunRate)}/day (trailing 7 days)`);
+  lines.push(`  Projected EOM:  ${fmt$(pacing.projectedSpend)} (${fmtPct(pacing.projectedShare)} of budget)`);
+  lines.push(`  Recommended:    ${fmt$(pacing.recommendedDaily)}/day for the remaining ${pacing.daysRemaining} days`);
+  lines.push('');
+  const fc = forecast;
+  lines.push(`Month-End Forecast (${fc.daysRemaining} days left; run rate ${fmt$(fc.runRate)}/day, ${fc.baselineDays}-day day-of-week shape):`);
+  lines.push(`  ${padStr('', 16)}${padStr('p10', 12)}${padStr('p50', 12)}p90`);
+  lines.push(`  ${padStr('Spend:', 16)}${padStr(fmt$(fc.spend.p10), 12)}${padStr(fmt$(fc.spend.p50), 12)}${fmt$(fc.spend.p90)}`);
+  lines.push(`  ${padStr('Demos:', 16)}${padStr(fc.demos.p10, 12)}${padStr(fc.demos.p50, 12)}${fc.demos.p90}`);
+  lines.push(`  ${padStr('Qualified:', 16)}${padStr(fc.qualified.p10.toFixed(1), 12)}${padStr(fc.qualified.p50.toFixed(1), 12)}${fc.qualified.p90.toFixed(1)}  (${fmtPct(fc.qualifiedRate)} of due LinkedIn-sourced demos qualify)`);
+  lines.push(`  ${padStr('CPD:', 16)}${padStr(fc.cpd.p10 != null ? fmt$(fc.cpd.p10) : '—', 12)}${padStr(fc.cpd.p50 != null ? fmt$(fc.cpd.p50) : '—', 12)}${fc.cpd.p90 != null ? fmt$(fc.cpd.p90) : '—'}  (target: ${fmt$(CPD_TARGET)})`);
   lines.push('');
-  lines.push(`Pipeline (30-day, all channels via HubSpot):`);
-  lines.push(`  Demos Booked:   ${pipeline.demosBooked}`);
-  lines.push(`  Demos Happened: ${pipeline.demosHappened}  (Show Rate: ${fmtPct(pipeline.showRate)})`);
-  lines.push(`  Disqualified:   ${pipeline.disqualified}  (${fmtPct(pipeline.disqualRate)})`);
-  lines.push(`  Closed Won:     ${pipeline.closedWon}`);
-  lines.push(`  MRR:            ${fmt$(pipeline.mrr)}`);
+  lines.push(`${padStr(`Pipeline (${n}-day via HubSpot):`, 34)}${padStr('LinkedIn-sourced', 20)}${padStr('All channels', 20)}LI vs prior ${n}d`);
+  lines.push(`  Demos Booked:   ${padStr('', 16)}${padStr(liPipeline.demosBooked, 20)}${padStr(pipeline.demosBooked, 20)}${deltaText(liPipeline.demosBooked, liPipelinePrev.demosBooked)}`);
+  lines.push(`  Pending:        ${padStr('', 16)}${padStr(liPipeline.pending, 20)}${padStr(pipeline.pending, 20)}(demo date not yet passed)`);
+  lines.push(`  Demos Happened: ${padStr('', 16)}${padStr(`${liPipeline.demosHappened} (${fmtPct(liPipeline.showRate)})`, 20)}${padStr(`${pipeline.demosHappened} (${fmtPct(pipeline.showRate)})`, 20)}${deltaText(liPipeline.demosHappened, liPipelinePrev.demosHappened)}`);
+  lines.push(`  Disqualified:   ${padStr('', 16)}${padStr(`${liPipeline.disqualified} (${fmtPct(liPipeline.disqualRate)})`, 20)}${padStr(`${pipeline.disqualified} (${fmtPct(pipeline.disqualRate)})`, 20)}${deltaText(liPipeline.disqualified, liPipelinePrev.disqualified)}`);
+  lines.push(`  Closed Won:     ${padStr('', 16)}${padStr(liPipeline.closedWon, 20)}${padStr(pipeline.closedWon, 20)}${deltaText(liPipeline.closedWon, liPipelinePrev.closedWon)}`);
+  lines.push(`  MRR:            ${padStr('', 16)}${padStr(fmt$(liPipeline.mrr), 20)}${padStr(fmt$(pipeline.mrr), 20)}${deltaText(liPipeline.mrr, liPipelinePrev.mrr)}`);
+  lines.push('');
+  lines.push(`Demos by Source (${n}-day):`);
+  for (const m of Object.values(sourceMix30)) {
+    lines.push(`  ${padStr(m.label, 24)} ${padStr(m.demosBooked, 5)} (${padStr(fmtPct(m.share) + ')', 8)} Disqual: ${fmtPct(m.disqualRate)}`);
+  }
+
+  // ── DEMO COHORTS ──
+  lines.push('\n── DEMO COHORTS (LINKEDIN-SOURCED, BY BOOKING WEEK) ───────────────────\n');
+  lines.push('Show and disqual rates count only demos whose date has passed. Show-up curve = cumulative share of the cohort that showed by week N after booking.\n');
+  const curveCols = cohorts.map((_, k) => `W${k}`);
+  lines.push(`  ${padStr('Week of', 12)}${padStr('Booked', 8)}${padStr('Pending', 9)}${padStr('Show', 8)}${padStr('Disqual', 9)}${padStr('Won', 5)}${curveCols.map(c => padStr(c, 6)).join('')}`);
+  cohorts.forEach(h => {
+    const curve = h.showCurve.map(v => padStr(v === null ? '' : `${Math.round(v * 100)}%`, 6)).join('');
+    lines.push(`  ${padStr(h.start, 12)}${padStr(h.booked, 8)}${padStr(h.pending, 9)}${padStr(h.booked - h.pending > 0 ? fmtPct(h.showRate) : '—', 8)}${padStr(h.booked - h.pending > 0 ? fmtPct(h.disqualRate) : '—', 9)}${padStr(h.closedWon, 5)}${curve}`);
+  });
+
+  // ── WEBSITE FUNNEL ──
+  lines.push(`\n── LINKEDIN FUNNEL (${n}-DAY) ───────────────────────────────────────────\n`);
+  lines.push(`Site steps from GA4 (${funnel30.trafficScope === 'linkedin' ? 'LinkedIn-attributed sessions' : 'all traffic — GA4 attributes no sessions to LinkedIn'}); conversion is from the previous step.\n`);
+  lines.push(`  ${padStr('Step', 22)}${padStr('Count', 10)}${padStr('Conversion', 12)}${padStr(`Prior ${n}d`, 12)}Change`);
+  funnel30.steps.forEach(s => {
+    const change = s.mixed ? '(mixed traffic)' : s.rate === null ? '' : s.comparable ? deltaText(s.rate, s.prevRate) : '(low volume)';
+    const pct = r => (s.mixed ? 'n/a' : r === null ? '—' : fmtPct(r));
+    lines.push(`  ${padStr(s.label, 22)}${padStr(s.count, 10)}${padStr(pct(s.rate), 12)}${padStr(pct(s.prevRate), 12)}${change}`);
+  });
+  if (funnel30.worst) lines.push(`\n  Biggest drop-off: ${funnel30.worst.from} → ${funnel30.worst.label} (${funnel30.worst.area}) — ${funnel30.worst.fix}`);
 
   // ── INTELLIGENCE ──
   lines.push('\n── INTELLIGENCE ENGINE ─────────────────────────────────────────────────\n');
+  const tracked = i => `  [${alertTag(alertStatus.byId[i.id])}] ${i.text}  (id: ${i.id})`;
   if (intelligence.alerts.length > 0) {
     lines.push('ALERTS:');
-    intelligence.alerts.forEach(a => lines.push(`  ${a}`));
+    intelligence.alerts.forEach(a => lines.push(tracked(a)));
   }
   if (intelligence.warnings.length > 0) {
     lines.push('\nWEAKNESSES / WARNINGS:');
-    intelligence.warnings.forEach(w => lines.push(`  ${w}`));
+    intelligence.warnings.forEach(w => lines.push(tracked(w)));
+  }
+  if (alertStatus.resolved.length > 0) {
+    lines.push('\nRESOLVED SINCE LAST RUN:');
+    alertStatus.resolved.forEach(r => lines.push(`  ✔️ ${r.text}  (open ${r.days}d, id: ${r.id})`));
   }
   if (intelligence.opportunities.length > 0) {
     lines.push('\nOPPORTUNITIES:');
-    intelligence.opportunities.forEach(o => lines.push(`  ${o}`));
+    intelligence.opportunities.forEach(o => lines.push(`  ${o.text}`));
   }
   if (intelligence.wins.length > 0) {
     lines.push('\nWINS:');
-    intelligence.wins.forEach(w => lines.push(`  ${w}`));
+    intelligence.wins.forEach(w => lines.push(`  ${w.text}`));
   }
+  lines.push(`\nAlert changes: ${alertStatus.new.length} new · ${alertStatus.escalated.length} escalated · ${alertStatus.persisting.length} still open · ${alertStatus.resolved.length} resolved · ${alertStatus.snoozed.length} snoozed`);
+  lines.push(`  To snooze one, add "<id>": "YYYY-MM-DD" to "snoozes" in ${CONFIG_SOURCE === 'built-in defaults' ? 'linkedin_optimizer.config.json' : path.basename(CONFIG_SOURCE)}`);
 
   // ── CAMPAIGN BREAKDOWN ──
-  lines.push('\n── CAMPAIGN BREAKDOWN (30-DAY) ─────────────────────────────────────────\n');
+  lines.push(`\n── CAMPAIGN BREAKDOWN (${n}-DAY) ─────────────────────────────────────────\n`);
   const sortedCamps = Object.entries(campaigns30).sort((a, b) => b[1].spend - a[1].spend);
   if (sortedCamps.length === 0) {
     lines.push('  No campaign-level data available.');
   } else {
-    lines.push(padStr('Campaign', 40) + padStr('Spend', 12) + padStr('Demos', 8) + padStr('CPD', 10) + padStr('CTR', 8) + 'CPM');
-    lines.push('-'.repeat(90));
+    const level = `${Math.round(CONFIG.campaigns.confidence * 100)}%`;
+    lines.push(padStr('Campaign', 40) + padStr('Spend', 12) + padStr('Demos', 8) + padStr('CPD', 10) + padStr(`(${level} range)`, 22) + padStr('CTR', 8) + 'CPM');
+    lines.push('-'.repeat(112));
     for (const [name, c] of sortedCamps) {
       lines.push(
         padStr(name.substring(0, 39), 40) +
         padStr(fmt$(c.spend), 12) +
         padStr(String(c.demos), 8) +
         padStr(c.cpd > 0 ? fmt$(c.cpd) : '-', 10) +
+        padStr(fmtCpdInterval(cpdIntervals[name].booked), 22) +
         padStr(fmtPct(c.ctr), 8) +
         fmt$(c.cpm)
       );
     }
   }
 
+  // ── NAMING ROLL-UPS ──
+  const namedDims = naming30.dimensions.filter(d => Object.keys(naming30.rollups[d]).length > 0);
+  if (namedDims.length > 0 || naming30.unmatched.length > 0) {
+    lines.push(`\n── ROLL-UPS BY CAMPAIGN NAME (${n}-DAY) ───────────────────────────────────\n`);
+    for (const d of namedDims) {
+      lines.push(padStr(d.toUpperCase(), 30) + padStr('Camps', 7) + padStr('Spend', 12) + padStr('Demos', 8) + padStr('CPD', 10) + padStr('CTR', 8) + 'CPM');
+      Object.entries(naming30.rollups[d])
+        .sort((a, b) => b[1].spend - a[1].spend)
+        .forEach(([value, r]) => lines.push(
+          '  ' + padStr(value.substring(0, 27), 28) +
+          padStr(r.campaigns, 7) +
+          padStr(fmt$(r.spend), 12) +
+          padStr(r.demos, 8) +
+          padStr(r.cpd > 0 ? fmt$(r.cpd) : '-', 10) +
+          padStr(fmtPct(r.ctr), 8) +
+          fmt$(r.cpm)
+        ));
+      lines.push('');
+    }
+    if (naming30.unmatched.length > 0) {
+      lines.push(`⚠️  Not following the naming convention (left out of the roll-ups):`);
+      naming30.unmatched.forEach(name => lines.push(`  ${padStr(name.substring(0, 39), 40)} ${fmt$(campaigns30[name].spend)}`));
+    }
+  }
+
+  // ── CREATIVE LEADERBOARD ──
+  const creativeCamps = sortedCamps.filter(([name]) => creatives30[name]);
+  if (creativeCamps.length > 0) {
+    const cc = CONFIG.creatives;
+    lines.push(`\n── CREATIVE LEADERBOARD (${n}-DAY) ─────────────────────────────────────────\n`);
+    lines.push(`Fatigue: CTR over the last ${cc.recentDays} days vs each ad's first ${cc.launchDays} delivering days (fatigued below −${Math.round(cc.fatigueDrop * 100)}%)\n`);
+    for (const [name] of creativeCamps) {
+      lines.push(name);
+      lines.push('  ' + padStr('Ad', 34) + padStr('Spend', 10) + padStr('Demos', 7) + padStr('CPD', 10) + padStr('CTR', 8) + padStr('Freq', 6) + padStr('Launch → Recent', 18) + 'Status');
+      creatives30[name].forEach(a => lines.push(
+        '  ' + padStr(a.name.substring(0, 33), 34) +
+        padStr(fmt$(a.spend), 10) +
+        padStr(a.demos, 7) +
+        padStr(a.cpd > 0 ? fmt$(a.cpd) : '-', 10) +
+        padStr(fmtPct(a.ctr), 8) +
+        padStr(a.frequency ? a.frequency.toFixed(1) : '-', 6) +
+        padStr(a.status === 'learning' ? '-' : `${fmtPct(a.launchCtr)} → ${fmtPct(a.recentCtr)}`, 18) +
+        a.status.toUpperCase()
+      ));
+      lines.push('');
+    }
+    const retire = creativeCamps.flatMap(([name]) => creatives30[name].filter(a => a.status === 'fatigued'));
+    lines.push(retire.length > 0
+      ? `Retire: ${retire.map(a => `"${a.name}" (${a.campaign}, ${fmtDelta(-a.decay)} CTR)`).join(', ')}`
+      : 'No fatigued creatives.');
+  }
+
+  // ── CAMPAIGN QUALITY ──
+  lines.push(`\n── CAMPAIGN QUALITY (HUBSPOT-MATCHED, ${n}-DAY) ──────────────────────────\n`);
+  const cq = campaignQuality30;
+  const qualityRows = sortedCamps.filter(([name]) => cq.campaigns[name]);
+  if (qualityRows.length === 0) {
+    lines.push('  No LinkedIn-sourced demos could be matched to a campaign.');
+  } else {
+    lines.push(padStr('Campaign', 40) + padStr('Matched', 9) + padStr('Show', 9) + padStr('Disqual', 9) + padStr('Qualified', 11) + 'Qualified CPD');
+    lines.push('-'.repeat(90));
+    for (const [name] of qualityRows) {
+      const q = cq.campaigns[name];
+      lines.push(
+        padStr(name.substring(0, 39), 40) +
+        padStr(String(q.matched), 9) +
+        padStr(fmtPct(q.showRate), 9) +
+        padStr(fmtPct(q.disqualRate), 9) +
+        padStr(String(q.qualified), 11) +
+        (q.qualifiedCpd > 0 ? fmt$(q.qualifiedCpd) : '-') +
+        (q.matched < CONFIG.attribution.minMatchedContacts ? '  (too few matched — recs use Windsor CPD)' : '')
+      );
+    }
+  }
+  lines.push('');
+  lines.push(`Attribution gap: ${cq.unmatchedContacts} of ${cq.linkedinContacts} LinkedIn-sourced demos (${fmtPct(cq.gapShare)}) unmatched to a campaign.`);
+  cq.gapValues.forEach(([v, n]) => lines.push(`  ${padStr(`"${v}"`, 40)} ${n} demos`));
+
+  // ── REVENUE ATTRIBUTION ──
+  lines.push(`\n── REVENUE ATTRIBUTION (CLOSED WON, ${n}-DAY, ${CONFIG.revenue.lookbackDays}-DAY LOOKBACK) ─────────────\n`);
+  const rv = revenue30;
+  const econLine = e => `MRR ${padStr(fmt$(e.mrr), 10)} Deals ${padStr(e.deals, 4)} ROAS ${padStr(e.roas.toFixed(2) + 'x', 7)} CAC ${padStr(e.cac > 0 ? fmt$(e.cac) : '-', 10)} Payback ${e.paybackMonths > 0 ? e.paybackMonths.toFixed(1) + ' mo' : '-'}`;
+  lines.push(`LinkedIn overall (${fmt$(rv.linkedin.spend)} spend): ${econLine(rv.linkedin)}`);
+  const rvPrev = revenuePrev30.linkedin;
+  lines.push(`  vs prior ${n} days: MRR ${deltaText(rv.linkedin.mrr, rvPrev.mrr)} (${fmt$(rvPrev.mrr)}) · ROAS ${deltaText(rv.linkedin.roas, rvPrev.roas)} (${rvPrev.roas.toFixed(2)}x) · CAC ${deltaText(rv.linkedin.cac, rvPrev.cac)}`);
+  lines.push(`  (ROAS counts ${CONFIG.revenue.roasMonths} months of MRR; payback at ${fmtPct(CONFIG.revenue.grossMargin)} gross margin)`);
+  const revCamps = Object.entries(rv.campaigns).sort((a, b) => b[1].mrr - a[1].mrr);
+  if (revCamps.length > 0) {
+    lines.push(`\nBy campaign (spend over the window plus its ${CONFIG.revenue.lookbackDays}-day lookback):`);
+    revCamps.forEach(([name, e]) => lines.push(`  ${padStr(name.substring(0, 37), 38)} ${econLine(e)}`));
+  }
+  lines.push('');
+  lines.push('Closed-won MRR by originating source:');
+  Object.values(rv.bySource).forEach(s => lines.push(`  ${padStr(s.label, 24)} ${padStr(fmt$(s.mrr), 10)} ${s.deals} deals`));
+  if (rv.unattributed.deals > 0) {
+    lines.push(`  ${padStr('Unattributed', 24)} ${padStr(fmt$(rv.unattributed.mrr), 10)} ${rv.unattributed.deals} deals (no associated demo within lookback)`);
+  }
+
   // ── CAMPAIGN RECOMMENDATIONS ──
   lines.push('\n── CAMPAIGN ACTION ITEMS ───────────────────────────────────────────────\n');
   if (campaignRecs.length === 0) {
@@ -549,25 +2830,41 @@ function buildTextReport({ windows, liData, allChannels, pipelines, intelligence
     campaignRecs.forEach(r => lines.push(`  [${(r.type || 'info').toUpperCase()}] ${r.text}`));
   }
 
+  // ── BUDGET REALLOCATION ──
+  if (reallocation) {
+    const ra = reallocation;
+    lines.push('\n── BUDGET REALLOCATION ─────────────────────────────────────────────────\n');
+    lines.push(`Remaining budget: ${fmt$(ra.dailyBudget)}/day for the last ${ra.daysRemaining} days of the month (current run rate ${fmt$(ra.current.daily)}/day)`);
+    lines.push(`Demos and CPD are expected over those ${ra.daysRemaining} days.\n`);
+    lines.push(`  ${padStr('Campaign', 38)} ${padStr('Now/day', 10)} ${padStr('New/day', 10)} ${padStr('Change', 8)} ${padStr('Demos', 14)} CPD`);
+    const raLine = (name, now, next, change, demos, cpd) => `  ${padStr(name.substring(0, 37), 38)} ${padStr(now, 10)} ${padStr(next, 10)} ${padStr(change, 8)} ${padStr(demos, 14)} ${cpd}`;
+    const arrow = (a, b) => `${a} → ${b}`;
+    ra.rows.forEach(x => lines.push(raLine(x.campaign + (x.flag ? ' †' : x.lowData ? ' *' : ''), fmt$(x.currentDaily), fmt$(x.proposedDaily), fmtDelta(x.change),
+      arrow(x.currentDemos.toFixed(1), x.expectedDemos.toFixed(1)), arrow(x.currentCpd > 0 ? fmt$(x.currentCpd) : '—', x.expectedCpd > 0 ? fmt$(x.expectedCpd) : '—'))));
+    lines.push(raLine('Total', fmt$(ra.current.daily), fmt$(ra.proposed.daily), fmtDelta(periodDelta(ra.proposed.daily, ra.current.daily)),
+      arrow(ra.current.demos.toFixed(1), ra.proposed.demos.toFixed(1)), arrow(ra.current.cpd > 0 ? fmt$(ra.current.cpd) : '—', ra.proposed.cpd > 0 ? fmt$(ra.proposed.cpd) : '—')));
+    if (ra.note) lines.push(`\n  ⚠️ ${ra.note}`);
+    const r = CONFIG.reallocation;
+    lines.push(`\n  Assumes demos scale with (budget change)^${r.elasticity}; changes capped at +${Math.round(r.maxIncrease * 100)}% / −${Math.round(r.maxDecrease * 100)}% per campaign,`);
+    lines.push(`  and budget is only added while its marginal CPD stays under ${CONFIG.cpd.alertMultiple}× the campaign's CPD target.`);
+    if (ra.rows.some(x => x.flag)) lines.push('  † flagged to pause or reduce — budget is not increased');
+    if (ra.rows.some(x => x.lowData && !x.flag)) lines.push(`  * fewer than ${r.minDemos} demos in the window — budget is not increased`);
+  }
+
   // ── CHANNEL COMPARISON ──
-  lines.push('\n── CROSS-CHANNEL CPD COMPARISON (30-DAY) ──────────────────────────────\n');
-  const channelMap = {
-    linkedin: 'LinkedIn',
-    facebook: 'Meta',
-    tiktok: 'TikTok',
-    google_ads: 'Google Ads',
-    youtube: 'YouTube',
-  };
-  for (const [ds, label] of Object.entries(channelMap)) {
-    const ch = allChannels.d30[ds];
-    if (!ch || ch.spend === 0) continue;
-    const cpdStr = ch.cpd > 0 ? fmt$(ch.cpd) : 'N/A';
-    const vsLi = li30.cpd > 0 && ch.cpd > 0 ? ` (${ch.cpd < li30.cpd ? '' : '+'}${Math.round(((ch.cpd - li30.cpd) / li30.cpd) * 100)}% vs LI)` : '';
-    lines.push(`  ${padStr(label, 14)} Spend: ${padStr(fmt$(ch.spend), 12)} Demos: ${padStr(String(ch.demos), 6)} CPD: ${cpdStr}${vsLi}`);
+  lines.push(`\n── CROSS-CHANNEL CPD COMPARISON (${n}-DAY) ──────────────────────────────\n`);
+  const cc = channelComparison;
+  lines.push(`Blended: ${fmt$(cc.blended.spend)} spend · ${cc.blended.demos} demos · CPD ${cc.blended.cpd > 0 ? fmt$(cc.blended.cpd) : 'N/A'}\n`);
+  lines.push(`  ${padStr('Channel', 16)}${padStr('Spend', 12)}${padStr('Demos', 7)}${padStr('Spend %', 9)}${padStr('Demo %', 9)}${padStr('CPD', 10)}${padStr('vs LI', 8)}${HISTORY_DAYS}d Benchmark`);
+  for (const ch of cc.rows) {
+    const vsLi = ch.ds !== 'linkedin' && li30.cpd > 0 && ch.cpd > 0 ? fmtDelta(periodDelta(ch.cpd, li30.cpd)) : '';
+    const bench = ch.benchmark ? `${fmt$(ch.benchmark.cpd)}${ch.cpd > 0 ? ` (now ${fmtDelta(periodDelta(ch.cpd, ch.benchmark.cpd))})` : ''}` : 'not enough history';
+    lines.push(`  ${padStr(ch.label, 16)}${padStr(fmt$(ch.spend), 12)}${padStr(ch.demos, 7)}${padStr(fmtPct(ch.spendShare), 9)}${padStr(fmtPct(ch.demoShare), 9)}${padStr(ch.cpd > 0 ? fmt$(ch.cpd) : 'N/A', 10)}${padStr(vsLi, 8)}${bench}`);
   }
+  lines.push(`\n  Benchmark = median ${n}-day CPD across earlier runs in the last ${HISTORY_DAYS} days (needs ${CONFIG.channels.benchmarkMinRuns}).`);
 
   // ── DISQUALIFICATION BREAKDOWN ──
-  lines.push('\n── DISQUALIFICATION BREAKDOWN (30-DAY) ─────────────────────────────────\n');
+  lines.push(`\n── DISQUALIFICATION BREAKDOWN (${n}-DAY, ALL CHANNELS) ───────────────────\n`);
   const dq = pipelines.d30.disqualReasons;
   if (Object.keys(dq).length === 0) {
     lines.push('  No disqualification data available.');
@@ -579,7 +2876,8 @@ function buildTextReport({ windows, liData, allChannels, pipelines, intelligence
 
   // ── AUDIENCE PLAYBOOK ──
   lines.push('\n── AUDIENCE & TARGETING PLAYBOOK ───────────────────────────────────────\n');
-  lines.push('Recommended Exclusions:');
+  lines.push(audiencePlaybook.source);
+  lines.push('\nRecommended Exclusions:');
   audiencePlaybook.exclusions.forEach(e => lines.push(`  - ${e}`));
   lines.push('\nAudience Layering Strategies to Test:');
   audiencePlaybook.layeringStrategies.forEach(s => lines.push(`  - ${s}`));
@@ -593,10 +2891,16 @@ function buildTextReport({ windows, liData, allChannels, pipelines, intelligence
   return lines.join('\n');
 }
 
-function buildSlackSummary({ liData, pipelines, intelligence, windows, dashboardUrl }) {
+function buildSlackSummary({ liData, pipelines, liPipelines, revenue30, revenuePrev30, intelligence, alertStatus, pacing, forecast, windows, dashboardUrl, now = new Date() }) {
   const li30 = liData.d30;
   const li7 = liData.d7;
   const p30 = pipelines.d30;
+  const lp30 = liPipelines.d30;
+  const rev = revenue30.linkedin;
+  const prev30 = liData.prev30;
+  const prev7 = liData.prev7;
+  const lpPrev = liPipelines.prev30;
+  const revPrev = revenuePrev30.linkedin;
 
   const cpdVsTarget = li30.cpd > 0
     ? `${li30.cpd > CPD_TARGET ? '🔴' : '🟢'} ${fmt$(li30.cpd)} (target: ${fmt$(CPD_TARGET)})`
@@ -607,23 +2911,36 @@ function buildSlackSummary({ liData, pipelines, intelligence, windows, dashboard
   const statusEmoji = totalAlerts > 0 ? '🔴' : intelligence.warnings.length > 0 ? '🟡' : '🟢';
 
   let msg = `*🔗 LinkedIn Campaign Optimizer — ${windows.d30.label}*\n`;
-  msg += `${new Date().toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}\n\n`;
+  msg += `${now.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}\n\n`;
+
+  const n = windows.d30.days;
+  msg += `*LinkedIn Performance (${n} Days)* _(change vs prior ${n} days)_\n`;
+  msg += `• Spend: ${fmt$(li30.spend)} ${deltaSlack(li30.spend, prev30.spend, null)} | Demos: ${li30.demos} ${deltaSlack(li30.demos, prev30.demos, 'up')} | CPD: ${cpdVsTarget} ${deltaSlack(li30.cpd, prev30.cpd, 'down')}\n`;
+  msg += `• CTR: ${fmtPct(li30.ctr)} ${deltaSlack(li30.ctr, prev30.ctr, 'up')} | CPM: ${fmt$(li30.cpm)} ${deltaSlack(li30.cpm, prev30.cpm, 'down')} | CPC: ${fmt$(li30.cpc)} ${deltaSlack(li30.cpc, prev30.cpc, 'down')}\n`;
+  msg += `• Week over week: Spend ${fmt$(li7.spend)} ${deltaSlack(li7.spend, prev7.spend, null)} | Demos ${li7.demos} ${deltaSlack(li7.demos, prev7.demos, 'up')} | CPD ${fmt$(li7.cpd)} ${deltaSlack(li7.cpd, prev7.cpd, 'down')} | CTR ${fmtPct(li7.ctr)} ${deltaSlack(li7.ctr, prev7.ctr, 'up')} | CPM ${fmt$(li7.cpm)} ${deltaSlack(li7.cpm, prev7.cpm, 'down')}\n\n`;
 
-  msg += `*LinkedIn Performance (30 Days)*\n`;
-  msg += `• Spend: ${fmt$(li30.spend)} | Demos: ${li30.demos} | CPD: ${cpdVsTarget}\n`;
-  msg += `• CTR: ${fmtPct(li30.ctr)} | CPM: ${fmt$(li30.cpm)} | CPC: ${fmt$(li30.cpc)}\n\n`;
+  const paceEmoji = pacing.projectedShare > CONFIG.thresholds.paceWarn ? '🔴' : pacing.projectedShare < CONFIG.thresholds.paceUnder ? '🟡' : '🟢';
+  msg += `*Budget Pacing (MTD)*\n`;
+  msg += `• Spent: ${fmt$(pacing.mtdSpend)} of ${fmt$(pacing.budget)} ${deltaSlack(pacing.mtdSpend, liData.prevMtd.spend, null)} vs prior MTD | Expected to date: ${fmt$(pacing.expectedToDate)}\n`;
+  msg += `• MTD Demos: ${liData.mtd.demos} ${deltaSlack(liData.mtd.demos, liData.prevMtd.demos, 'up')} | MTD CPD: ${fmt$(liData.mtd.cpd)} ${deltaSlack(liData.mtd.cpd, liData.prevMtd.cpd, 'down')}\n`;
+  msg += `• ${paceEmoji} Projected EOM: ${fmt$(pacing.projectedSpend)} (${fmtPct(pacing.projectedShare)}) | Recommended daily: ${fmt$(pacing.recommendedDaily)}\n\n`;
 
-  msg += `*Pipeline (30 Days)*\n`;
-  msg += `• Booked: ${p30.demosBooked} | Happened: ${p30.demosHappened} (${fmtPct(p30.showRate)} show rate)\n`;
-  msg += `• Disqualified: ${p30.disqualified} (${fmtPct(p30.disqualRate)}) | Closed Won: ${p30.closedWon}\n\n`;
+  msg += `*Month-End Forecast* _(p50, p10–p90 in brackets)_\n`;
+  msg += `• Spend: ${fmt$(forecast.spend.p50)} [${fmt$(forecast.spend.p10)}–${fmt$(forecast.spend.p90)}] | Demos: ${forecast.demos.p50} [${forecast.demos.p10}–${forecast.demos.p90}] | Qualified: ${forecast.qualified.p50.toFixed(1)}\n`;
+  msg += `• ${forecast.cpd.p50 > CPD_TARGET ? '🔴' : '🟢'} CPD: ${fmtForecastCpd(forecast.cpd)} vs target ${fmt$(CPD_TARGET)}\n\n`;
+
+  msg += `*LinkedIn-Sourced Pipeline (${n} Days)* _(all channels in brackets, change vs prior ${n} days)_\n`;
+  msg += `• Booked: ${lp30.demosBooked} ${deltaSlack(lp30.demosBooked, lpPrev.demosBooked, 'up')} [${p30.demosBooked}] | Happened: ${lp30.demosHappened} (${fmtPct(lp30.showRate)} show rate) ${deltaSlack(lp30.showRate, lpPrev.showRate, 'up')} [${fmtPct(p30.showRate)}]\n`;
+  msg += `• Disqualified: ${lp30.disqualified} (${fmtPct(lp30.disqualRate)}) ${deltaSlack(lp30.disqualRate, lpPrev.disqualRate, 'down')} [${fmtPct(p30.disqualRate)}] | Closed Won: ${lp30.closedWon} ${deltaSlack(lp30.closedWon, lpPrev.closedWon, 'up')} [${p30.closedWon}]\n`;
+  msg += `• Revenue: ${fmt$(rev.mrr)} MRR ${deltaSlack(rev.mrr, revPrev.mrr, 'up')} | ROAS: ${rev.roas.toFixed(2)}x ${deltaSlack(rev.roas, revPrev.roas, 'up')} | CAC: ${rev.cac > 0 ? fmt$(rev.cac) : '-'} ${deltaSlack(rev.cac, revPrev.cac, 'down')} | Payback: ${rev.paybackMonths > 0 ? `${rev.paybackMonths.toFixed(1)} mo` : '-'}\n\n`;
 
   msg += `*${statusEmoji} Intelligence: ${totalAlerts} Alerts | ${intelligence.warnings.length} Warnings | ${totalWins} Wins*\n`;
 
-  if (intelligence.alerts.length > 0) {
-    intelligence.alerts.slice(0, 2).forEach(a => { msg += `${a}\n`; });
-  }
+  msg += `_${alertStatus.new.length} new · ${alertStatus.escalated.length} escalated · ${alertStatus.persisting.length} still open · ${alertStatus.resolved.length} resolved_\n`;
+  [...alertStatus.new, ...alertStatus.escalated].forEach(a => { msg += `[${alertTag(a)}] ${escHtml(a.text)}\n`; });
+  alertStatus.resolved.forEach(r => { msg += `[RESOLVED] ${escHtml(r.text)}\n`; });
   if (intelligence.opportunities.length > 0) {
-    msg += `\n*Top Opportunity:*\n${intelligence.opportunities[0]}\n`;
+    msg += `\n*Top Opportunity:*\n${escHtml(intelligence.opportunities[0].text)}\n`;
   }
 
   msg += `\n_Run \`node linkedin_optimizer.js\` for full report + dashboard._`;
@@ -631,69 +2948,513 @@ function buildSlackSummary({ liData, pipelines, intelligence, windows, dashboard
   return msg;
 }
 
+// ─── SLACK BLOCK KIT ───────────────────────────────────────────────────────────
+// Slack rejects payloads past these limits, so long lists are cut to fit and
+// point at the full report. Alert/warning colours come from legacy attachments,
+// the only part of a message Slack renders with a colour bar.
+
+const SLACK_LIMITS = { blocks: 50, sectionText: 3000, fieldText: 2000, fields: 10, header: 150, item: 500 };
+const SLACK_COLORS = { alerts: '#EF4444', warnings: '#F59E0B', opportunities: '#72A4BF', wins: '#22C55E' };
+const REC_EMOJI = { pause: '🛑', reduce: '📉', scale: '📈', creative: '🎨', risk: '⚠️', hold: '⏳', info: 'ℹ️' };
+
+function slackTrim(s, max) {
+  return s.length <= max ? s : s.slice(0, max - 1) + '…';
+}
+
+// One mrkdwn string from a list, dropping the tail (with a count) once it would overflow a section
+function slackList(items, max = SLACK_LIMITS.sectionText) {
+  const more = n => `\n_…and ${n} more in the full report_`;
+  let out = '';
+  for (let i = 0; i < items.length; i++) {
+    const line = (out ? '\n' : '') + slackTrim(items[i], SLACK_LIMITS.item);
+    if (out.length + line.length + (i < items.length - 1 ? more(items.length - i - 1).length : 0) > max) {
+      return out + more(items.length - i);
+    }
+    out += line;
+  }
+  return out;
+}
+
+// Action text up to its first full stop, for a compact one-line list
+function firstSentence(text) {
+  const m = text.match(/^.*?[.!](?=\s|$)/);
+  return m ? m[0] : text;
+}
+
+function slackSection(text) {
+  return { type: 'section', text: { type: 'mrkdwn', text: slackTrim(text, SLACK_LIMITS.sectionText) } };
+}
+
+function slackFields(title, fields) {
+  return {
+    type: 'section',
+    text: { type: 'mrkdwn', text: title },
+    fields: fields.slice(0, SLACK_LIMITS.fields).map(([label, value]) =>
+      ({ type: 'mrkdwn', text: slackTrim(`*${label}*\n${value}`, SLACK_LIMITS.fieldText) })),
+  };
+}
+
+// Block Kit message with the markdown summary (buildSlackSummary) as its notification/fallback text.
+// Slack mrkdwn escapes the same three characters as HTML, hence escHtml on free text.
+function buildSlackPayload({ liData, pipelines, liPipelines, revenue30, revenuePrev30, intelligence, alertStatus, campaignRecs, pacing, forecast, windows, dashboardUrl, now = new Date() }) {
+  const li30 = liData.d30;
+  const prev30 = liData.prev30;
+  const li7 = liData.d7;
+  const lp30 = liPipelines.d30;
+  const lpPrev = liPipelines.prev30;
+  const rev = revenue30.linkedin;
+  const n = windows.d30.days;
+
+  const counts = ['alerts', 'warnings', 'opportunities', 'wins'].map(k => `${intelligence[k].length} ${k}`).join(' · ');
+  const statusEmoji = intelligence.alerts.length > 0 ? '🔴' : intelligence.warnings.length > 0 ? '🟡' : '🟢';
+
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: slackTrim(`🔗 LinkedIn Campaign Optimizer — ${windows.d30.label}`, SLACK_LIMITS.header), emoji: true } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: `${now.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })} · ${statusEmoji} ${counts}` }] },
+    slackFields(`*LinkedIn Performance (${n} Days)* _(change vs prior ${n} days)_`, [
+      ['Spend', `${fmt$(li30.spend)} ${deltaSlack(li30.spend, prev30.spend, null)}`],
+      ['Demos', `${li30.demos} ${deltaSlack(li30.demos, prev30.demos, 'up')}`],
+      ['Cost Per Demo', `${li30.cpd > CPD_TARGET ? '🔴' : '🟢'} ${fmt$(li30.cpd)} ${deltaSlack(li30.cpd, prev30.cpd, 'down')}\ntarget ${fmt$(CPD_TARGET)}`],
+      ['CTR', `${fmtPct(li30.ctr)} ${deltaSlack(li30.ctr, prev30.ctr, 'up')}`],
+      ['CPM', `${fmt$(li30.cpm)} ${deltaSlack(li30.cpm, prev30.cpm, 'down')}`],
+      ['CPD (7d, WoW)', `${fmt$(li7.cpd)} ${deltaSlack(li7.cpd, liData.prev7.cpd, 'down')}`],
+    ]),
+    slackFields('*Budget Pacing (MTD)*', [
+      ['Spent', `${fmt$(pacing.mtdSpend)} of ${fmt$(pacing.budget)} (${fmtPct(pacing.usedShare)})`],
+      ['Expected to Date', fmt$(pacing.expectedToDate)],
+      ['Projected EOM', `${fmt$(pacing.projectedSpend)} (${fmtPct(pacing.projectedShare)})`],
+      ['Recommended Daily', fmt$(pacing.recommendedDaily)],
+    ]),
+    slackFields('*Month-End Forecast* _(p50, p10–p90)_', [
+      ['Spend', `${fmt$(forecast.spend.p50)}\n${fmt$(forecast.spend.p10)}–${fmt$(forecast.spend.p90)}`],
+      ['Demos', `${forecast.demos.p50}\n${forecast.demos.p10}–${forecast.demos.p90}`],
+      ['Qualified Demos', `${forecast.qualified.p50.toFixed(1)}\n${forecast.qualified.p10.toFixed(1)}–${forecast.qualified.p90.toFixed(1)}`],
+      ['Cost Per Demo', `${forecast.cpd.p50 > CPD_TARGET ? '🔴' : '🟢'} ${fmtForecastCpd(forecast.cpd)}\ntarget ${fmt$(CPD_TARGET)}`],
+    ]),
+    slackFields(`*LinkedIn-Sourced Pipeline (${n} Days)*`, [
+      ['Demos Booked', `${lp30.demosBooked} ${deltaSlack(lp30.demosBooked, lpPrev.demosBooked, 'up')}`],
+      ['Show Rate', `${fmtPct(lp30.showRate)} ${deltaSlack(lp30.showRate, lpPrev.showRate, 'up')}`],
+      ['Disqual Rate', `${fmtPct(lp30.disqualRate)} ${deltaSlack(lp30.disqualRate, lpPrev.disqualRate, 'down')}`],
+      ['Closed Won', `${lp30.closedWon} ${deltaSlack(lp30.closedWon, lpPrev.closedWon, 'up')}`],
+      ['MRR', `${fmt$(rev.mrr)} ${deltaSlack(rev.mrr, revenuePrev30.linkedin.mrr, 'up')}`],
+      ['ROAS / CAC', `${rev.roas.toFixed(2)}x / ${rev.cac > 0 ? fmt$(rev.cac) : '-'}`],
+    ]),
+    { type: 'divider' },
+    slackSection('*Campaign Actions*\n' + (campaignRecs.length > 0
+      ? slackList(campaignRecs.map(r => `${REC_EMOJI[r.type] || REC_EMOJI.info} ${escHtml(firstSentence(r.text))}`), SLACK_LIMITS.sectionText - 30)
+      : 'No specific campaign actions flagged at this time.')),
+  ];
+  if (dashboardUrl) {
+    blocks.push({ type: 'actions', elements: [{ type: 'button', text: { type: 'plain_text', text: 'View Full Dashboard' }, url: dashboardUrl, style: 'primary' }] });
+  }
+
+  // Only changes are posted in full; items that are merely still open get one summary line.
+  // Alerts and warnings go in separate attachments so each keeps its own colour.
+  const tracked = (list, severity) => list.filter(a => a.severity === severity).map(a => `[${alertTag(a)}] ${escHtml(a.text)}`);
+  const sections = [
+    { color: SLACK_COLORS.alerts, title: '🆕 New Alerts', items: tracked(alertStatus.new, 'alert') },
+    { color: SLACK_COLORS.warnings, title: '🆕 New Warnings', items: tracked(alertStatus.new, 'warning') },
+    { color: SLACK_COLORS.alerts, title: '⏫ Escalated Alerts', items: tracked(alertStatus.escalated, 'alert') },
+    { color: SLACK_COLORS.warnings, title: '⏫ Escalated Warnings', items: tracked(alertStatus.escalated, 'warning') },
+    { color: SLACK_COLORS.wins, title: '✔️ Resolved Since Last Run', items: alertStatus.resolved.map(r => `${escHtml(r.text)} _(open ${r.days}d)_`) },
+    { color: SLACK_COLORS.opportunities, title: '💡 Opportunities', items: intelligence.opportunities.map(o => escHtml(o.text)) },
+  ];
+  const attachments = sections
+    .filter(sec => sec.items.length > 0)
+    .map(sec => ({
+      color: sec.color,
+      blocks: [slackSection(`*${sec.title} (${sec.items.length})*\n` + slackList(sec.items, SLACK_LIMITS.sectionText - 40))],
+    }));
+  const stillOpen = [...alertStatus.persisting, ...alertStatus.snoozed];
+  if (stillOpen.length > 0) {
+    attachments.push({
+      color: SLACK_COLORS.warnings,
+      blocks: [{ type: 'context', elements: [{ type: 'mrkdwn', text: slackTrim(`Still open: ${stillOpen.map(a => `\`${a.id}\` (${alertTag(a)})`).join(', ')}`, SLACK_LIMITS.fieldText) }] }],
+    });
+  }
+
+  return {
+    text: buildSlackSummary({ liData, pipelines, liPipelines, revenue30, revenuePrev30, intelligence, alertStatus, pacing, forecast, windows, dashboardUrl, now }),
+    blocks: blocks.slice(0, SLACK_LIMITS.blocks),
+    attachments,
+  };
+}
+
 // ─── HTML DASHBOARD ────────────────────────────────────────────────────────────
 
-function buildDashboard({ liData, allChannels, pipelines, intelligence, campaignRecs, audiencePlaybook, campaigns30, windows }) {
+// Inline SVG line chart over a fixed date range. Points are placed by date, and
+// the line breaks across gaps longer than a week so missing stretches read as missing.
+// `ref` draws a dashed reference line (e.g. a target) with its own tooltip.
+function svgLineChart(points, { from, to, width = 260, height = 64, color = '#72A4BF', fmt = String, ref = null }) {
+  const pts = points.filter(p => p.value != null && Number.isFinite(p.value));
+  if (pts.length === 0) return '<div class="trend-empty">No history yet</div>';
+
+  const t0 = toMs(from);
+  const span = Math.max(86400000, toMs(to) - t0);
+  const values = [...pts.map(p => p.value), ...(ref ? [ref.value] : [])];
+  let lo = Math.min(...values);
+  let hi = Math.max(...values);
+  if (hi === lo) { const pad = Math.abs(hi) * 0.1 || 1; hi += pad; lo -= pad; }
+  const m = 4;
+  const x = d => (m + ((toMs(d) - t0) / span) * (width - 2 * m)).toFixed(1);
+  const y = v => (height - m - ((v - lo) / (hi - lo)) * (height - 2 * m)).toFixed(1);
+
+  const line = pts.map((p, i) => {
+    const gapDays = i > 0 ? (toMs(p.date) - toMs(pts[i - 1].date)) / 86400000 : Infinity;
+    return `${gapDays > 7 ? 'M' : 'L'}${x(p.date)},${y(p.value)}`;
+  }).join(' ');
+  const dots = pts.map(p =>
+    `<circle cx="${x(p.date)}" cy="${y(p.value)}" r="2" fill="${color}"><title>${p.date}: ${escHtml(fmt(p.value))}</title></circle>`).join('');
+
+  const refLine = ref
+    ? `<line x1="${m}" x2="${width - m}" y1="${y(ref.value)}" y2="${y(ref.value)}" stroke="#fff" stroke-opacity="0.4" stroke-dasharray="3 3"><title>${escHtml(ref.label)}: ${escHtml(fmt(ref.value))}</title></line>`
+    : '';
+
+  return `<svg class="trend-chart" viewBox="0 0 ${width} ${height}" width="100%" height="${height}" role="img">
+    ${refLine}<path d="${line}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linejoin="round"/>${dots}
+  </svg>`;
+}
+
+// Inline SVG bar chart, one bar per day from `from` to `to`; missing days are empty slots
+function svgBarChart(points, { from, to, width = 260, height = 64, color = '#72A4BF', fmt = String }) {
+  const byDate = Object.fromEntries(points.map(p => [p.date, p.value]));
+  const days = Math.round((toMs(to) - toMs(from)) / 86400000) + 1;
+  const hi = Math.max(0, ...points.map(p => p.value)) || 1;
+  const m = 4;
+  const slot = (width - 2 * m) / days;
+  const bars = [];
+  for (let i = 0; i < days; i++) {
+    const date = toDateStr(addDays(new Date(from + 'T00:00:00.000Z'), i));
+    const v = byDate[date] || 0;
+    const h = (v / hi) * (height - 2 * m);
+    bars.push(`<rect x="${(m + i * slot + slot * 0.15).toFixed(1)}" y="${(height - m - h).toFixed(1)}" width="${(slot * 0.7).toFixed(1)}" height="${Math.max(h, 0.5).toFixed(1)}" fill="${color}"><title>${date}: ${escHtml(fmt(v))}</title></rect>`);
+  }
+  return `<svg class="trend-chart" viewBox="0 0 ${width} ${height}" width="100%" height="${height}" role="img">${bars.join('')}</svg>`;
+}
+
+// Daily LinkedIn spend and demos over the primary window, and CPD over a trailing
+// 7 days (single days rarely have enough demos for a readable CPD)
+function buildDailyChartsHtml(series, { from, to }) {
+  const dates = [];
+  for (let d = new Date(from + 'T00:00:00.000Z'); toDateStr(d) <= to; d = addDays(d, 1)) dates.push(toDateStr(d));
+  const day = date => series[date] || { spend: 0, demos: 0 };
+  const spend = dates.map(date => ({ date, value: day(date).spend }));
+  const demos = dates.map(date => ({ date, value: day(date).demos }));
+  const cpd7 = dates.map((date, i) => {
+    const last7 = dates.slice(Math.max(0, i - 6), i + 1).map(day);
+    const d = last7.reduce((s, x) => s + x.demos, 0);
+    return { date, value: i >= 6 && d > 0 ? last7.reduce((s, x) => s + x.spend, 0) / d : null };
+  });
+  const opts = { from, to, width: 420, height: 96 };
+  const total = pts => pts.reduce((s, p) => s + p.value, 0);
+  const latestCpd = cpd7.filter(p => p.value != null).pop();
+  return `<div class="trend-grid">
+      <div class="trend-card">
+        <div class="kpi-label">Daily Spend</div>
+        <div class="trend-value">${fmt$(total(spend))} <span class="ci">total</span></div>
+        ${svgBarChart(spend, { ...opts, fmt: n => fmt$(n) })}
+      </div>
+      <div class="trend-card">
+        <div class="kpi-label">Daily Demos</div>
+        <div class="trend-value">${total(demos)} <span class="ci">total</span></div>
+        ${svgBarChart(demos, { ...opts, color: '#22C55E', fmt: String })}
+      </div>
+      <div class="trend-card">
+        <div class="kpi-label">CPD (Trailing 7 Days)</div>
+        <div class="trend-value">${latestCpd ? fmt$(latestCpd.value) : '-'} <span class="ci">latest</span></div>
+        ${svgLineChart(cpd7, { ...opts, color: '#F59E0B', fmt: n => fmt$(n), ref: { label: 'Target', value: CPD_TARGET } })}
+      </div>
+    </div>`;
+}
+
+// Sorting and filtering for the dashboard tables. Tables render complete and
+// pre-sorted without it; controls marked .js-only only appear once this runs.
+const DASHBOARD_SCRIPT = `
+(function () {
+  document.documentElement.className += ' js';
+  function key(td) {
+    var v = td.getAttribute('data-sort');
+    if (v !== null) return v === '' ? null : Number(v);
+    return td.textContent.trim().toLowerCase();
+  }
+  Array.prototype.forEach.call(document.querySelectorAll('table.sortable'), function (table) {
+    var tbody = table.tBodies[0];
+    var heads = table.querySelectorAll('thead th');
+    Array.prototype.forEach.call(heads, function (th, col) {
+      th.tabIndex = 0;
+      function sort() {
+        var dir = th.getAttribute('aria-sort') === 'descending' ? 1 : -1;
+        Array.prototype.forEach.call(heads, function (h) { h.removeAttribute('aria-sort'); });
+        th.setAttribute('aria-sort', dir === 1 ? 'ascending' : 'descending');
+        var rows = Array.prototype.slice.call(tbody.rows).filter(function (r) { return r.cells.length === heads.length; });
+        rows.sort(function (a, b) {
+          var x = key(a.cells[col]), y = key(b.cells[col]);
+          if (x === null || y === null) return x === y ? 0 : x === null ? 1 : -1;
+          return (x < y ? -1 : x > y ? 1 : 0) * dir;
+        });
+        rows.forEach(function (r) { tbody.appendChild(r); });
+      }
+      th.addEventListener('click', sort);
+      th.addEventListener('keydown', function (e) { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); sort(); } });
+    });
+  });
+  Array.prototype.forEach.call(document.querySelectorAll('[data-filter-for]'), function (box) {
+    var table = document.getElementById(box.getAttribute('data-filter-for'));
+    var text = box.querySelector('input[type=search]');
+    var flagged = box.querySelector('input[type=checkbox]');
+    var count = box.querySelector('.filter-count');
+    function apply() {
+      var q = text.value.trim().toLowerCase();
+      var rows = Array.prototype.slice.call(table.tBodies[0].rows);
+      var shown = 0;
+      rows.forEach(function (r) {
+        var hide = (q && r.cells[0].textContent.toLowerCase().indexOf(q) < 0) || (flagged && flagged.checked && !r.hasAttribute('data-flagged'));
+        r.hidden = !!hide;
+        if (!hide) shown++;
+      });
+      if (count) count.textContent = shown + ' of ' + rows.length;
+    }
+    text.addEventListener('input', apply);
+    if (flagged) flagged.addEventListener('change', apply);
+  });
+})();
+`;
+
+function buildTrendsHtml(history, asOf) {
+  const from = toDateStr(addDays(new Date(asOf + 'T00:00:00.000Z'), -(HISTORY_DAYS - 1)));
+  const cards = TREND_KPIS.map(k => {
+    const points = history.map(s => ({ date: s.date, value: k.get(s) }));
+    const valid = points.filter(p => p.value != null && Number.isFinite(p.value));
+    const latest = valid[valid.length - 1];
+    const first = valid[0];
+    let deltaHtml = '';
+    if (latest && first && first !== latest && first.value !== 0) {
+      const delta = (latest.value - first.value) / Math.abs(first.value);
+      const improving = k.better === 'up' ? delta > 0 : k.better === 'down' ? delta < 0 : null;
+      const color = improving === null || delta === 0 ? '#9CA3AF' : improving ? '#22C55E' : '#EF4444';
+      deltaHtml = `<span style="color:${color};">${delta >= 0 ? '▲' : '▼'} ${Math.abs(Math.round(delta * 100))}%</span> since ${first.date}`;
+    }
+    return `<div class="trend-card">
+      <div class="kpi-label">${k.label}</div>
+      <div class="trend-value">${latest ? k.fmt(latest.value) : '-'}</div>
+      ${svgLineChart(points, { from, to: asOf, fmt: k.fmt })}
+      <div class="kpi-sub">${deltaHtml || `${valid.length} run${valid.length === 1 ? '' : 's'} recorded`}</div>
+    </div>`;
+  }).join('');
+  return `<div class="trend-grid">${cards}</div>`;
+}
+
+function buildDashboard({ liData, pipelines, liPipelines, sourceMix30, campaignQuality30, revenue30, revenuePrev30, intelligence, alertStatus, campaignRecs, reallocation, audiencePlaybook, campaigns30, cpdIntervals, naming30, creatives30, funnel30, channelComparison, cohorts, pacing, forecast, dailySeries, history = [], anomalies = [], windows, now = new Date() }) {
   const li30 = liData.d30;
   const li7 = liData.d7;
   const p30 = pipelines.d30;
+  const lp30 = liPipelines.d30;
   const prevP = pipelines.prevMonth;
+  const prev30 = liData.prev30;
+  const lpPrev = liPipelines.prev30;
+  const span = `${windows.d30.days}d`;
+  const vsPrior = (curr, prev, better) => `<div class="kpi-delta">${deltaHtml(curr, prev, better, `vs prior ${span}`)}</div>`;
 
-  const cpdColor = li30.cpd > CPD_TARGET * 1.3 ? '#EF4444' : li30.cpd > CPD_TARGET ? '#F59E0B' : '#72A4BF';
+  const cpdColor = li30.cpd > CPD_TARGET * CONFIG.cpd.alertMultiple ? '#EF4444' : li30.cpd > CPD_TARGET * CONFIG.cpd.warnMultiple ? '#F59E0B' : '#72A4BF';
 
+  // Campaigns with an action item (other than "keep running") or an anomaly, for the flagged filter
+  const campaignFlags = {};
+  const flag = (name, label) => { (campaignFlags[name] = campaignFlags[name] || []).push(label); };
+  campaignRecs.filter(r => r.campaign && r.type !== 'hold').forEach(r => flag(r.campaign, (r.type || 'info').toUpperCase()));
+  anomalies.filter(a => a.campaign).forEach(a => flag(a.campaign, `ANOMALY: ${a.type}`));
+
+  // data-sort holds the raw value for the client-side sort; '' sorts last
+  const sortAttr = v => `data-sort="${v === null || v === undefined || !Number.isFinite(v) ? '' : v}"`;
   const campaignRows = Object.entries(campaigns30)
     .sort((a, b) => b[1].spend - a[1].spend)
     .map(([name, c]) => {
-      const cpdBg = c.cpd > CPD_TARGET * 1.3 ? 'rgba(239,68,68,0.1)' : c.cpd < CPD_TARGET * 0.8 && c.cpd > 0 ? 'rgba(34,197,94,0.1)' : 'transparent';
-      return `<tr>
-        <td>${escHtml(name)}</td>
-        <td>${fmt$(c.spend)}</td>
-        <td>${c.demos}</td>
-        <td style="background:${cpdBg}; font-weight:bold;">${c.cpd > 0 ? fmt$(c.cpd) : '-'}</td>
-        <td>${fmtPct(c.ctr)}</td>
-        <td>${fmt$(c.cpm)}</td>
-        <td>${fmt$(c.cpc)}</td>
+      const target = cpdTargetFor(name);
+      const q = campaignQuality30.campaigns[name];
+      const flags = campaignFlags[name];
+      const cpdBg = c.cpd > target * CONFIG.cpd.alertMultiple ? 'rgba(239,68,68,0.1)'
+        : c.cpd > target * CONFIG.cpd.warnMultiple ? 'rgba(245,158,11,0.1)'
+        : c.cpd < target * CONFIG.campaigns.scaleCpdMultiple && c.cpd > 0 ? 'rgba(34,197,94,0.1)' : 'transparent';
+      return `<tr${flags ? ' data-flagged' : ''}>
+        <td>${escHtml(name)}${flags ? ` <span class="flag" title="${escAttr(flags.join(' · '))}">⚑</span>` : ''}</td>
+        <td ${sortAttr(c.spend)}>${fmt$(c.spend)}</td>
+        <td ${sortAttr(c.demos)}>${c.demos}</td>
+        <td ${sortAttr(c.cpd > 0 ? c.cpd : null)} style="background:${cpdBg}; font-weight:bold;">${c.cpd > 0 ? fmt$(c.cpd) : '-'}<div class="ci">${fmtCpdInterval(cpdIntervals[name].booked)}</div></td>
+        <td ${sortAttr(c.ctr)}>${fmtPct(c.ctr)}</td>
+        <td ${sortAttr(c.cpm)}>${fmt$(c.cpm)}</td>
+        <td ${sortAttr(c.cpc)}>${fmt$(c.cpc)}</td>
+        <td ${sortAttr(q ? q.matched : null)}>${q ? q.matched : '-'}</td>
+        <td ${sortAttr(q ? q.showRate : null)}>${q ? fmtPct(q.showRate) : '-'}</td>
+        <td ${sortAttr(q ? q.disqualRate : null)}>${q ? fmtPct(q.disqualRate) : '-'}</td>
+        <td ${sortAttr(q && q.qualifiedCpd > 0 ? q.qualifiedCpd : null)} style="font-weight:bold;${q && q.matched < CONFIG.attribution.minMatchedContacts ? ' opacity:0.5;' : ''}">${q && q.qualifiedCpd > 0 ? fmt$(q.qualifiedCpd) : '-'}${q ? `<div class="ci">${fmtCpdInterval(cpdIntervals[name].qualified)}</div>` : ''}</td>
       </tr>`;
     }).join('');
 
-  const channelCompRows = Object.entries({
-    linkedin: 'LinkedIn', facebook: 'Meta', tiktok: 'TikTok', google_ads: 'Google Ads', youtube: 'YouTube'
-  }).map(([ds, label]) => {
-    const ch = allChannels.d30[ds];
-    if (!ch || ch.spend === 0) return '';
-    const isLi = ds === 'linkedin';
+  const cq = campaignQuality30;
+  const gapHtml = `<div class="kpi-sub" style="margin-top:12px;">
+        Attribution gap: ${cq.unmatchedContacts} of ${cq.linkedinContacts} LinkedIn-sourced demos (${fmtPct(cq.gapShare)}) unmatched to a campaign${cq.gapValues.length > 0 ? ` — top values: ${cq.gapValues.map(([v, n]) => `"${escHtml(v)}" (${n})`).join(', ')}` : ''}.
+        Faded qualified CPD = fewer than ${CONFIG.attribution.minMatchedContacts} matched demos.
+      </div>`;
+
+  const channelCompRows = channelComparison.rows.map(ch => {
+    const isLi = ch.ds === 'linkedin';
     return `<tr ${isLi ? 'class="li-row"' : ''}>
-      <td><strong>${label}</strong>${isLi ? ' ◀' : ''}</td>
-      <td>${fmt$(ch.spend)}</td>
-      <td>${ch.demos}</td>
-      <td style="font-weight:${isLi ? 'bold' : 'normal'}; color:${ch.cpd > CPD_TARGET ? (isLi ? '#EF4444' : '#9CA3AF') : '#22C55E'}">${ch.cpd > 0 ? fmt$(ch.cpd) : '-'}</td>
-      <td>${fmtPct(ch.ctr)}</td>
-      <td>${fmt$(ch.cpm)}</td>
+      <td><strong>${escHtml(ch.label)}</strong>${isLi ? ' ◀' : ''}</td>
+      <td ${sortAttr(ch.spend)}>${fmt$(ch.spend)}</td>
+      <td ${sortAttr(ch.demos)}>${ch.demos}</td>
+      <td ${sortAttr(ch.spendShare)}>${fmtPct(ch.spendShare)}</td>
+      <td ${sortAttr(ch.demoShare)} style="color:${ch.demoShare < ch.spendShare ? '#F59E0B' : '#22C55E'}">${fmtPct(ch.demoShare)}</td>
+      <td ${sortAttr(ch.cpd > 0 ? ch.cpd : null)} style="font-weight:${isLi ? 'bold' : 'normal'}; color:${ch.cpd > CPD_TARGET ? (isLi ? '#EF4444' : '#9CA3AF') : '#22C55E'}">${ch.cpd > 0 ? fmt$(ch.cpd) : '-'}</td>
+      <td ${sortAttr(ch.benchmark ? ch.benchmark.cpd : null)}>${ch.benchmark ? `${fmt$(ch.benchmark.cpd)}${ch.cpd > 0 ? ` · ${deltaHtml(ch.cpd, ch.benchmark.cpd, 'down', '')}` : ''}` : '<span style="opacity:0.5;">-</span>'}</td>
+      <td ${sortAttr(ch.ctr)}>${fmtPct(ch.ctr)}</td>
+      <td ${sortAttr(ch.cpm)}>${fmt$(ch.cpm)}</td>
     </tr>`;
   }).join('');
 
+  const statusBadge = i => {
+    const item = alertStatus.byId[i.id];
+    return item ? `<span class="alert-badge ${item.status}" title="${escAttr(i.id)}">${escHtml(alertTag(item))}</span>` : '';
+  };
   const intelligenceHtml = [
-    ...intelligence.alerts.map(a => `<div class="intel-item alert">${a}</div>`),
-    ...intelligence.warnings.map(w => `<div class="intel-item warning">${w}</div>`),
-    ...intelligence.opportunities.map(o => `<div class="intel-item opportunity">${o}</div>`),
-    ...intelligence.wins.map(w => `<div class="intel-item win">${w}</div>`),
+    ...intelligence.alerts.map(a => `<div class="intel-item alert">${statusBadge(a)}${escHtml(a.text)}</div>`),
+    ...intelligence.warnings.map(w => `<div class="intel-item warning">${statusBadge(w)}${escHtml(w.text)}</div>`),
+    ...alertStatus.resolved.map(r => `<div class="intel-item resolved"><span class="alert-badge resolved" title="${escAttr(r.id)}">RESOLVED · ${r.days}d</span>${escHtml(r.text)}</div>`),
+    ...intelligence.opportunities.map(o => `<div class="intel-item opportunity">${escHtml(o.text)}</div>`),
+    ...intelligence.wins.map(w => `<div class="intel-item win">${escHtml(w.text)}</div>`),
   ].join('') || '<div class="intel-item win">✅ No issues detected at this time.</div>';
 
   const recsHtml = campaignRecs.map(r => {
-    const colors = { pause: '#EF4444', reduce: '#F59E0B', scale: '#22C55E', creative: '#72A4BF', risk: '#F59E0B', info: '#9CA3AF' };
+    const colors = { pause: '#EF4444', reduce: '#F59E0B', scale: '#22C55E', creative: '#72A4BF', risk: '#F59E0B', hold: '#9CA3AF', info: '#9CA3AF' };
     const color = colors[r.type || 'info'] || '#9CA3AF';
     return `<div class="rec-item" style="border-left: 3px solid ${color}; padding: 10px 14px; margin-bottom: 8px; background: rgba(0,0,0,0.2); border-radius: 0 8px 8px 0;">
       <span style="color:${color}; font-weight:bold; text-transform:uppercase; font-size:11px;">${r.type || 'info'}</span>
-      <div style="margin-top:4px;">${r.text}</div>
+      <div style="margin-top:4px;">${escHtml(r.text)}</div>
     </div>`;
   }).join('') || '<div style="opacity:0.6;">No specific campaign actions at this time.</div>';
 
+  const reallocationHtml = reallocation ? (() => {
+    const ra = reallocation;
+    const cpdCell = v => v > 0 ? fmt$(v) : '—';
+    const changeCell = d => `<td style="color:${d > 0.005 ? '#22C55E' : d < -0.005 ? '#EF4444' : 'inherit'};">${fmtDelta(d)}</td>`;
+    const rows = ra.rows.map(x => `<tr>
+        <td>${escHtml(x.campaign)}${x.flag ? ` <span style="opacity:0.5;" title="Flagged to ${x.flag} — budget is not increased">†</span>` : x.lowData ? ' <span style="opacity:0.5;" title="Too few demos to add budget">*</span>' : ''}</td>
+        <td>${fmt$(x.currentDaily)}</td><td><strong>${fmt$(x.proposedDaily)}</strong></td>${changeCell(x.change)}
+        <td>${x.currentDemos.toFixed(1)} → ${x.expectedDemos.toFixed(1)}</td><td>${cpdCell(x.currentCpd)} → ${cpdCell(x.expectedCpd)}</td>
+      </tr>`).join('');
+    const total = `<tr class="li-row">
+        <td><strong>Total</strong></td><td>${fmt$(ra.current.daily)}</td><td><strong>${fmt$(ra.proposed.daily)}</strong></td>${changeCell(periodDelta(ra.proposed.daily, ra.current.daily))}
+        <td>${ra.current.demos.toFixed(1)} → ${ra.proposed.demos.toFixed(1)}</td><td>${cpdCell(ra.current.cpd)} → ${cpdCell(ra.proposed.cpd)}</td>
+      </tr>`;
+    const r = CONFIG.reallocation;
+    return `<div style="overflow-x:auto;">
+        <table>
+          <thead><tr><th>Campaign</th><th>Now / day</th><th>Proposed / day</th><th>Change</th><th>Demos (${ra.daysRemaining}d)</th><th>CPD</th></tr></thead>
+          <tbody>${rows}${total}</tbody>
+        </table>
+      </div>
+      ${ra.note ? `<div class="intel-item warning" style="margin-top:12px;">⚠️ ${ra.note}</div>` : ''}
+      <div style="font-size:12px; opacity:0.6; margin-top:8px;">Keeps LinkedIn within ${fmt$(LI_MONTHLY_BUDGET)}/mo: ${fmt$(ra.dailyBudget)}/day for the remaining ${ra.daysRemaining} days. Assumes demos scale with (budget change)^${r.elasticity}; changes capped at +${Math.round(r.maxIncrease * 100)}% / −${Math.round(r.maxDecrease * 100)}% per campaign, and budget is only added while its marginal CPD stays under ${CONFIG.cpd.alertMultiple}× the campaign's CPD target.</div>`;
+  })() : '<div style="opacity:0.6;">No campaign spend to reallocate.</div>';
+
+  const namingHtml = naming30.dimensions
+    .filter(d => Object.keys(naming30.rollups[d]).length > 0)
+    .map(d => {
+      const rows = Object.entries(naming30.rollups[d])
+        .sort((a, b) => b[1].spend - a[1].spend)
+        .map(([value, r]) => `<tr><td>${escHtml(value)}</td><td>${r.campaigns}</td><td>${fmt$(r.spend)}</td><td>${r.demos}</td><td>${r.cpd > 0 ? fmt$(r.cpd) : '-'}</td><td>${fmtPct(r.ctr)}</td><td>${fmt$(r.cpm)}</td></tr>`)
+        .join('');
+      return `<div style="overflow-x:auto;">
+        <table>
+          <thead><tr><th>${escHtml(d)}</th><th>Camps</th><th>Spend</th><th>Demos</th><th>CPD</th><th>CTR</th><th>CPM</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>`;
+    }).join('');
+  const namingGapHtml = naming30.unmatched.length > 0
+    ? `<div class="intel-item warning" style="margin-top:12px;">⚠️ Not following the naming convention (left out of the roll-ups): ${naming30.unmatched.map(name => `${escHtml(name)} (${fmt$(campaigns30[name].spend)})`).join(', ')}</div>`
+    : '';
+
+  const creativeStatusColors = { fatigued: '#EF4444', learning: '#9CA3AF', healthy: '#22C55E' };
+  const creativeRows = Object.entries(campaigns30)
+    .sort((a, b) => b[1].spend - a[1].spend)
+    .filter(([name]) => creatives30[name])
+    .map(([name]) => `<tr class="li-row"><td colspan="8"><strong>${escHtml(name)}</strong></td></tr>` + creatives30[name].map(a => `<tr>
+        <td>${escHtml(a.name)}</td>
+        <td>${fmt$(a.spend)}</td>
+        <td>${a.demos}</td>
+        <td>${a.cpd > 0 ? fmt$(a.cpd) : '-'}</td>
+        <td>${fmtPct(a.ctr)}</td>
+        <td>${a.frequency ? a.frequency.toFixed(1) : '-'}</td>
+        <td>${a.status === 'learning' ? '-' : `${fmtPct(a.launchCtr)} → ${fmtPct(a.recentCtr)}`}</td>
+        <td><span class="alert-badge" style="background:${creativeStatusColors[a.status]}; color:#fff;">${a.status.toUpperCase()}</span></td>
+      </tr>`).join(''))
+    .join('');
+
+  const cohortRows = cohorts.map(h => {
+    const due = h.booked - h.pending;
+    return `<tr>
+      <td>${h.start}</td>
+      <td>${h.booked}</td>
+      <td>${h.pending}</td>
+      <td>${due > 0 ? fmtPct(h.showRate) : '-'}</td>
+      <td>${due > 0 ? fmtPct(h.disqualRate) : '-'}</td>
+      <td>${h.closedWon}</td>
+      ${h.showCurve.map(v => v === null ? '<td></td>' : `<td style="background:rgba(34,197,94,${(0.08 + v * 0.6).toFixed(2)});">${Math.round(v * 100)}%</td>`).join('')}
+    </tr>`;
+  }).join('');
+
+  const funnelRows = funnel30.steps.map(s => `<tr${s === funnel30.worst ? ' style="background:rgba(245,158,11,0.12);"' : ''}>
+      <td>${s.label}</td>
+      <td>${s.count}</td>
+      <td>${s.mixed ? 'n/a' : s.rate === null ? '—' : fmtPct(s.rate)}</td>
+      <td>${s.mixed ? 'n/a' : s.prevRate === null ? '—' : fmtPct(s.prevRate)}</td>
+      <td>${s.mixed ? '<span style="opacity:0.5;" title="LinkedIn count vs all-site GA4 count">mixed traffic</span>' : s.rate === null ? '' : s.comparable ? deltaHtml(s.rate, s.prevRate, 'up', '') : '<span style="opacity:0.5;">low volume</span>'}</td>
+    </tr>`).join('');
+
+  const paceColor = pacing.projectedShare > CONFIG.thresholds.paceOver ? '#EF4444'
+    : pacing.projectedShare > CONFIG.thresholds.paceWarn ? '#F59E0B'
+    : pacing.projectedShare < CONFIG.thresholds.paceUnder ? '#72A4BF' : '#22C55E';
+  const budgetBarHtml = `
+      <div class="budget-bar">
+        <div class="budget-bar-fill" style="width:${Math.min(100, pacing.usedShare * 100).toFixed(1)}%; background:${paceColor};"></div>
+        <div class="budget-bar-marker" style="left:${Math.min(100, pacing.expectedShare * 100).toFixed(1)}%;" title="Expected to date"></div>
+      </div>`;
+
+  const trendsHtml = buildTrendsHtml(history, toDateStr(now));
+
+  const sourceMixRows = Object.entries(sourceMix30).map(([cls, m]) => `<tr ${cls === 'linkedin' ? 'class="li-row"' : ''}>
+        <td>${m.label}</td><td>${m.demosBooked}</td><td>${fmtPct(m.share)}</td><td>${fmtPct(m.disqualRate)}</td>
+      </tr>`).join('');
+
+  const anomalyLabels = { spend_spike: 'Spend spike', cpm_jump: 'CPM jump', ctr_collapse: 'CTR collapse', zero_delivery: 'Zero delivery' };
+  const fmtAnomaly = (a, v) => a.type === 'ctr_collapse' ? fmtPct(v) : a.type === 'zero_delivery' ? `${fmtNum(Math.round(v))} impr.` : fmt$(v);
+  const anomalyRows = anomalies.map(a => `<tr>
+        <td style="color:${a.severity === 'alert' ? '#EF4444' : '#F59E0B'}; font-weight:bold;">${anomalyLabels[a.type]}</td>
+        <td>${a.campaign ? escHtml(a.campaign) : '<em>Account total</em>'}</td>
+        <td>${fmtAnomaly(a, a.value)}</td>
+        <td>${fmtAnomaly(a, a.baseline)}</td>
+        <td>${a.z == null ? '-' : a.z.toFixed(1)}</td>
+      </tr>`).join('');
+
+  const econCells = e => `<td>${fmt$(e.spend)}</td><td>${e.deals}</td><td>${fmt$(e.mrr)}</td>
+        <td style="color:${e.roas >= 1 ? '#22C55E' : e.roas > 0 ? '#F59E0B' : '#9CA3AF'}; font-weight:bold;">${e.roas.toFixed(2)}x</td>
+        <td>${e.cac > 0 ? fmt$(e.cac) : '-'}</td><td>${e.paybackMonths > 0 ? e.paybackMonths.toFixed(1) + ' mo' : '-'}</td>`;
+  const revenueRows = [
+    `<tr class="li-row"><td><strong>LinkedIn (all campaigns)</strong></td>${econCells(revenue30.linkedin)}</tr>`,
+    ...Object.entries(revenue30.campaigns)
+      .sort((a, b) => b[1].mrr - a[1].mrr)
+      .map(([name, e]) => `<tr><td>${escHtml(name)}</td>${econCells(e)}</tr>`),
+  ].join('');
+  const revenueSourceHtml = [
+    ...Object.values(revenue30.bySource).map(s => `${s.label}: <strong>${fmt$(s.mrr)}</strong> (${s.deals})`),
+    ...(revenue30.unattributed.deals > 0 ? [`Unattributed: <strong>${fmt$(revenue30.unattributed.mrr)}</strong> (${revenue30.unattributed.deals})`] : []),
+  ].join(' · ');
+
   const playbookExclHtml = audiencePlaybook.exclusions.map(e =>
-    `<div class="playbook-item">❌ ${e}</div>`).join('');
+    `<div class="playbook-item">❌ ${escHtml(e)}</div>`).join('');
   const playbookLayerHtml = audiencePlaybook.layeringStrategies.map(s =>
-    `<div class="playbook-item">🎯 ${s}</div>`).join('');
+    `<div class="playbook-item">🎯 ${escHtml(s)}</div>`).join('');
   const playbookBidHtml = audiencePlaybook.bidStrategy.map(b =>
-    `<div class="playbook-item">⚡ ${b}</div>`).join('');
+    `<div class="playbook-item">⚡ ${escHtml(b)}</div>`).join('');
 
   const dqHtml = Object.entries(p30.disqualReasons || {})
     .sort((a, b) => b[1] - a[1])
@@ -731,6 +3492,7 @@ function buildDashboard({ liData, allChannels, pipelines, intelligence, campaign
   .kpi-label{font-size:11px; color:#72A4BF; text-transform:uppercase; letter-spacing:0.05em; margin-bottom:6px;}
   .kpi-value{font-size:28px; font-weight:bold; color:#fff; line-height:1.1;}
   .kpi-sub{font-size:12px; margin-top:6px; opacity:0.65;}
+  .kpi-delta{font-size:12px; margin-top:4px;}
   .section{background:rgba(23,44,69,0.5); border:1px solid rgba(114,164,191,0.15); border-radius:14px; padding:24px 28px; margin-bottom:24px;}
   table{width:100%; border-collapse:collapse; font-size:13px;}
   th{color:#72A4BF; text-align:left; padding:8px 10px; border-bottom:1px solid rgba(114,164,191,0.2); font-weight:normal; text-transform:uppercase; letter-spacing:0.04em; font-size:11px;}
@@ -742,14 +3504,57 @@ function buildDashboard({ liData, allChannels, pipelines, intelligence, campaign
   .intel-item.warning{background:rgba(245,158,11,0.12); border-left:3px solid #F59E0B;}
   .intel-item.opportunity{background:rgba(114,164,191,0.12); border-left:3px solid #72A4BF;}
   .intel-item.win{background:rgba(34,197,94,0.10); border-left:3px solid #22C55E;}
+  .intel-item.resolved{background:rgba(34,197,94,0.06); border-left:3px solid #22C55E; opacity:0.75;}
+  .ci{font-size:10px; font-weight:normal; opacity:0.6; white-space:nowrap;}
+  .alert-badge{display:inline-block; font-size:10px; font-weight:bold; letter-spacing:0.05em; padding:2px 6px; border-radius:4px; margin-right:8px; background:rgba(255,255,255,0.1);}
+  .alert-badge.new{background:#EF4444; color:#fff;}
+  .alert-badge.escalated{background:#F59E0B; color:#020F18;}
+  .alert-badge.resolved{background:#22C55E; color:#020F18;}
+  .alert-badge.snoozed{opacity:0.6;}
   .two-col{display:grid; grid-template-columns:1fr 1fr; gap:20px;}
   .three-col{display:grid; grid-template-columns:1fr 1fr 1fr; gap:20px;}
   .playbook-item{font-size:13px; padding:8px 0; border-bottom:1px solid rgba(114,164,191,0.1); line-height:1.5;}
   .playbook-item:last-child{border-bottom:none;}
-  .budget-bar{background:rgba(114,164,191,0.15); border-radius:4px; height:10px; overflow:hidden; margin-top:8px;}
+  .budget-bar{position:relative; background:rgba(114,164,191,0.15); border-radius:4px; height:10px; overflow:hidden; margin-top:8px;}
   .budget-bar-fill{height:100%; border-radius:4px; transition:width 0.3s;}
+  .budget-bar-marker{position:absolute; top:0; width:2px; height:100%; background:#fff; opacity:0.8;}
+  .pace-stats{display:flex; flex-wrap:wrap; gap:28px; margin-top:14px; font-size:13px;}
+  .pace-stats strong{display:block; font-size:18px; margin-top:2px;}
+  .rollup-grid{display:grid; grid-template-columns:repeat(auto-fit,minmax(420px,1fr)); gap:20px;}
+  .trend-grid{display:grid; grid-template-columns:repeat(auto-fit,minmax(220px,1fr)); gap:16px;}
+  .trend-card{background:rgba(2,15,24,0.35); border-radius:10px; padding:14px 16px;}
+  .trend-value{font-size:20px; font-weight:bold; margin-bottom:6px;}
+  .trend-chart{display:block;}
+  .trend-empty{height:64px; display:flex; align-items:center; font-size:12px; opacity:0.5;}
   footer{text-align:center; padding:24px; font-size:12px; opacity:0.4;}
+  .js-only{display:none;}
+  .js .js-only{display:flex;}
+  .filter-bar{gap:14px; align-items:center; margin-bottom:12px; font-size:12px;}
+  .filter-bar input[type=search]{font:inherit; padding:6px 10px; border-radius:6px; border:1px solid rgba(114,164,191,0.3); background:rgba(2,15,24,0.4); color:#fff; min-width:220px;}
+  .filter-count{opacity:0.6;}
+  .js table.sortable th{cursor:pointer; user-select:none;}
+  .js table.sortable th::after{content:' ↕'; opacity:0.3;}
+  .js table.sortable th[aria-sort=ascending]::after{content:' ▲'; opacity:0.8;}
+  .js table.sortable th[aria-sort=descending]::after{content:' ▼'; opacity:0.8;}
+  .flag{color:#F59E0B; cursor:help;}
+  th[title]{text-decoration:underline dotted rgba(114,164,191,0.5);}
   @media(max-width:768px){.two-col,.three-col{grid-template-columns:1fr;} .main{padding:20px;}}
+  @media print{
+    body{background:#fff; color:#000; font-size:11px;}
+    .header{background:none; border-bottom:2px solid #1D4053; padding:12px 0;}
+    .logo,.kpi-value,.trend-value{color:#000 !important;}
+    .main{padding:12px 0; max-width:none;}
+    .section,.kpi-card,.trend-card{background:none; border:1px solid #ccc; break-inside:avoid; page-break-inside:avoid;}
+    .kpi-grid{grid-template-columns:repeat(4,1fr);}
+    h2,h3,th,.kpi-label{color:#1D4053;}
+    td{border-bottom-color:#ddd;}
+    [style*="color:#fff"]{color:#000 !important;}
+    .li-row td{background:#eef3f6;}
+    .js-only,.filter-bar{display:none !important;}
+    tr[hidden]{display:table-row !important;}
+    table.sortable th::after{content:'' !important;}
+    .two-col,.three-col{grid-template-columns:1fr;}
+  }
 </style>
 </head>
 <body>
@@ -757,7 +3562,7 @@ function buildDashboard({ liData, allChannels, pipelines, intelligence, campaign
   <div class="logo">☤ frontrow<span>MD</span> — LinkedIn Optimizer</div>
   <div class="header-right">
     Agent 4 · ${windows.d30.from} → ${windows.d30.to}<br/>
-    Generated ${new Date().toLocaleDateString('en-US',{month:'short',day:'numeric',year:'numeric'})}
+    Generated ${now.toLocaleDateString('en-US',{month:'short',day:'numeric',year:'numeric'})}
   </div>
 </div>
 
@@ -766,63 +3571,129 @@ function buildDashboard({ liData, allChannels, pipelines, intelligence, campaign
   <!-- KPI CARDS -->
   <div class="kpi-grid">
     <div class="kpi-card">
-      <div class="kpi-label">LinkedIn Spend (30d)</div>
+      <div class="kpi-label">LinkedIn Spend (${span})</div>
       <div class="kpi-value">${fmt$(li30.spend)}</div>
       <div class="kpi-sub">Budget: ${fmt$(LI_MONTHLY_BUDGET)}/mo</div>
+      ${vsPrior(li30.spend, prev30.spend, null)}
     </div>
     <div class="kpi-card">
       <div class="kpi-label">Cost Per Demo</div>
       <div class="kpi-value" style="color:${cpdColor};">${fmt$(li30.cpd)}</div>
-      <div class="kpi-sub">Target: ${fmt$(CPD_TARGET)}</div>
+      <div class="kpi-sub">Target: ${fmt$(CPD_TARGET)} · 7d: ${fmt$(li7.cpd)} (${deltaHtml(li7.cpd, liData.prev7.cpd, 'down', 'WoW')})</div>
+      ${vsPrior(li30.cpd, prev30.cpd, 'down')}
     </div>
     <div class="kpi-card">
       <div class="kpi-label">Demos (Windsor)</div>
       <div class="kpi-value">${li30.demos}</div>
-      <div class="kpi-sub">7d: ${li7.demos}</div>
+      <div class="kpi-sub">7d: ${li7.demos} (${deltaHtml(li7.demos, liData.prev7.demos, 'up', 'WoW')})</div>
+      ${vsPrior(li30.demos, prev30.demos, 'up')}
     </div>
     <div class="kpi-card">
       <div class="kpi-label">CTR</div>
       <div class="kpi-value" style="color:${li30.ctr < CTR_WARN_THRESHOLD ? '#F59E0B' : '#72A4BF'};">${fmtPct(li30.ctr)}</div>
-      <div class="kpi-sub">Benchmark: 0.5%</div>
+      <div class="kpi-sub">Benchmark: ${fmtPct(CTR_WARN_THRESHOLD)} · 7d: ${fmtPct(li7.ctr)} (${deltaHtml(li7.ctr, liData.prev7.ctr, 'up', 'WoW')})</div>
+      ${vsPrior(li30.ctr, prev30.ctr, 'up')}
     </div>
     <div class="kpi-card">
       <div class="kpi-label">CPM</div>
       <div class="kpi-value" style="color:${li30.cpm > CPM_ALERT_THRESHOLD ? '#EF4444' : '#fff'};">${fmt$(li30.cpm)}</div>
-      <div class="kpi-sub">CPC: ${fmt$(li30.cpc)}</div>
+      <div class="kpi-sub">CPC: ${fmt$(li30.cpc)} · 7d: ${fmt$(li7.cpm)} (${deltaHtml(li7.cpm, liData.prev7.cpm, 'down', 'WoW')})</div>
+      ${vsPrior(li30.cpm, prev30.cpm, 'down')}
     </div>
     <div class="kpi-card">
-      <div class="kpi-label">Disqual Rate (30d)</div>
-      <div class="kpi-value" style="color:${p30.disqualRate > DISQUAL_ALERT_THRESHOLD ? '#EF4444' : p30.disqualRate > DISQUAL_WARN_THRESHOLD ? '#F59E0B' : '#22C55E'};">${fmtPct(p30.disqualRate)}</div>
-      <div class="kpi-sub">${p30.disqualified} / ${p30.demosBooked} demos</div>
+      <div class="kpi-label">LI Disqual Rate (${span})</div>
+      <div class="kpi-value" style="color:${lp30.disqualRate > DISQUAL_ALERT_THRESHOLD ? '#EF4444' : lp30.disqualRate > DISQUAL_WARN_THRESHOLD ? '#F59E0B' : '#22C55E'};">${fmtPct(lp30.disqualRate)}</div>
+      <div class="kpi-sub">${lp30.disqualified} / ${lp30.demosBooked} demos · All channels: ${fmtPct(p30.disqualRate)}</div>
+      ${vsPrior(lp30.disqualRate, lpPrev.disqualRate, 'down')}
     </div>
     <div class="kpi-card">
-      <div class="kpi-label">Show Rate (30d)</div>
-      <div class="kpi-value" style="color:${p30.showRate < 0.55 ? '#F59E0B' : '#22C55E'};">${fmtPct(p30.showRate)}</div>
-      <div class="kpi-sub">${p30.demosHappened} / ${p30.demosBooked} showed</div>
+      <div class="kpi-label">LI Show Rate (${span})</div>
+      <div class="kpi-value" style="color:${lp30.showRate < CONFIG.thresholds.showRateWarn ? '#F59E0B' : '#22C55E'};">${fmtPct(lp30.showRate)}</div>
+      <div class="kpi-sub">${lp30.demosHappened} / ${lp30.due} due showed · ${lp30.pending} pending · All channels: ${fmtPct(p30.showRate)}</div>
+      ${vsPrior(lp30.showRate, lpPrev.showRate, 'up')}
     </div>
     <div class="kpi-card">
-      <div class="kpi-label">Closed Won MRR (30d)</div>
-      <div class="kpi-value">${fmt$(p30.mrr)}</div>
-      <div class="kpi-sub">${p30.closedWon} deals</div>
+      <div class="kpi-label">LI Closed Won MRR (${span})</div>
+      <div class="kpi-value">${fmt$(revenue30.linkedin.mrr)}</div>
+      <div class="kpi-sub">${revenue30.linkedin.deals} deals · ROAS ${revenue30.linkedin.roas.toFixed(2)}x · All channels: ${fmt$(p30.mrr)}</div>
+      ${vsPrior(revenue30.linkedin.mrr, revenuePrev30.linkedin.mrr, 'up')}
+    </div>
+  </div>
+
+  <!-- DAILY PERFORMANCE -->
+  <div class="section">
+    <h2>Daily Performance (${span})</h2>
+    ${buildDailyChartsHtml(dailySeries.account, windows.d30)}
+  </div>
+
+  <!-- TRENDS -->
+  <div class="section">
+    <h2>Trends (Last ${HISTORY_DAYS} Days)</h2>
+    ${trendsHtml}
+  </div>
+
+  <!-- BUDGET PACING -->
+  <div class="section">
+    <h2>Budget Pacing (MTD · Day ${pacing.daysElapsed} of ${pacing.daysInMonth})</h2>
+    <div style="display:flex; justify-content:space-between; font-size:13px;">
+      <span>${fmt$(pacing.mtdSpend)} spent of ${fmt$(pacing.budget)} (${fmtPct(pacing.usedShare)})</span>
+      <span style="opacity:0.65;">│ = expected to date (${fmtPct(pacing.expectedShare)})</span>
+    </div>
+    ${budgetBarHtml}
+    <div class="pace-stats">
+      <div>Expected to Date<strong>${fmt$(pacing.expectedToDate)}</strong></div>
+      <div>Run-Rate (7d)<strong>${fmt$(pacing.dailyRunRate)}/day</strong></div>
+      <div>Projected Month-End<strong style="color:${paceColor};">${fmt$(pacing.projectedSpend)} (${fmtPct(pacing.projectedShare)})</strong></div>
+      <div>Recommended Daily Budget<strong>${fmt$(pacing.recommendedDaily)}/day</strong></div>
     </div>
   </div>
 
+  <!-- MONTH-END FORECAST -->
+  <div class="section">
+    <h2>Month-End Forecast (${forecast.daysRemaining} Days Left)</h2>
+    <div class="pace-stats">
+      <div>Spend<strong>${fmt$(forecast.spend.p50)}</strong><span class="ci">${fmt$(forecast.spend.p10)}–${fmt$(forecast.spend.p90)}</span></div>
+      <div>Demos<strong>${forecast.demos.p50}</strong><span class="ci">${forecast.demos.p10}–${forecast.demos.p90}</span></div>
+      <div>Qualified Demos<strong>${forecast.qualified.p50.toFixed(1)}</strong><span class="ci">${forecast.qualified.p10.toFixed(1)}–${forecast.qualified.p90.toFixed(1)}</span></div>
+      <div>Cost Per Demo<strong style="color:${forecast.cpd.p50 > CPD_TARGET ? '#EF4444' : '#22C55E'};">${forecast.cpd.p50 != null ? fmt$(forecast.cpd.p50) : '-'}</strong><span class="ci">${forecast.cpd.p50 != null ? `${fmt$(forecast.cpd.p10)}–${forecast.cpd.p90 != null ? fmt$(forecast.cpd.p90) : '∞'}` : ''} · target ${fmt$(CPD_TARGET)}</span></div>
+    </div>
+    <div class="kpi-sub" style="margin-top:12px;">p50 with p10–p90 range · spend run rate ${fmt$(forecast.runRate)}/day over the last ${forecast.runRateDays} days, shaped by ${forecast.baselineDays}-day day-of-week factors · qualified = demos × ${fmtPct(forecast.qualifiedRate)} LinkedIn-sourced qualification rate</div>
+  </div>
+
   <!-- INTELLIGENCE ENGINE -->
   <div class="section">
     <h2>Intelligence Engine</h2>
+    <div class="kpi-sub" style="margin:-8px 0 12px;">Since last run: ${alertStatus.new.length} new · ${alertStatus.escalated.length} escalated · ${alertStatus.persisting.length} still open · ${alertStatus.resolved.length} resolved · ${alertStatus.snoozed.length} snoozed</div>
     ${intelligenceHtml}
   </div>
 
+  <!-- ANOMALIES -->
+  <div class="section">
+    <h2>Anomalies (${windows.yesterday.from} vs trailing ${CONFIG.anomalies.baselineDays}d)</h2>
+    ${anomalyRows ? `<div style="overflow-x:auto;">
+      <table>
+        <thead><tr><th>Anomaly</th><th>Scope</th><th>Yesterday</th><th>Typical (median)</th><th>Robust z</th></tr></thead>
+        <tbody>${anomalyRows}</tbody>
+      </table>
+    </div>` : '<div style="opacity:0.6;">No spend, CPM, CTR or delivery anomalies detected yesterday.</div>'}
+  </div>
+
   <!-- CAMPAIGN BREAKDOWN + RECS -->
   <div class="two-col">
     <div class="section">
-      <h2>Campaign Breakdown (30d)</h2>
+      <h2>Campaign Breakdown (${span})</h2>
+      <div class="filter-bar js-only" data-filter-for="campaign-table">
+        <input type="search" placeholder="Filter campaigns…" aria-label="Filter campaigns"/>
+        <label><input type="checkbox"/> Only flagged ⚑</label>
+        <span class="filter-count"></span>
+      </div>
       <div style="overflow-x:auto;">
-        <table>
-          <thead><tr><th>Campaign</th><th>Spend</th><th>Demos</th><th>CPD</th><th>CTR</th><th>CPM</th><th>CPC</th></tr></thead>
-          <tbody>${campaignRows || '<tr><td colspan="7" style="opacity:0.5; text-align:center; padding:20px;">No campaign data</td></tr>'}</tbody>
+        <table class="sortable" id="campaign-table">
+          <thead><tr><th>Campaign</th><th>Spend</th><th>Demos</th><th title="Spend ÷ demos; ${Math.round(CONFIG.campaigns.confidence * 100)}% interval below">CPD</th><th title="Clicks ÷ impressions">CTR</th><th title="Cost per 1,000 impressions">CPM</th><th title="Cost per click">CPC</th><th title="LinkedIn-sourced HubSpot demos matched to the campaign">Matched</th><th title="Happened ÷ matched demos whose date has passed">Show</th><th title="Disqualified ÷ matched demos whose date has passed">Disqual</th><th title="Spend ÷ qualified matched demos; ${Math.round(CONFIG.campaigns.confidence * 100)}% interval below">Qual. CPD</th></tr></thead>
+          <tbody>${campaignRows || '<tr><td colspan="11" style="opacity:0.5; text-align:center; padding:20px;">No campaign data</td></tr>'}</tbody>
         </table>
       </div>
+      ${gapHtml}
     </div>
     <div class="section">
       <h2>Campaign Action Items</h2>
@@ -830,42 +3701,116 @@ function buildDashboard({ liData, allChannels, pipelines, intelligence, campaign
     </div>
   </div>
 
+  <!-- NAMING ROLL-UPS -->
+  ${namingHtml || namingGapHtml ? `<div class="section">
+    <h2>Roll-ups by Campaign Name (${span})</h2>
+    <div class="rollup-grid">${namingHtml}</div>
+    ${namingGapHtml}
+  </div>` : ''}
+
+  <!-- CREATIVE LEADERBOARD -->
+  ${creativeRows ? `<div class="section">
+    <h2>Creative Leaderboard (${span})</h2>
+    <div style="overflow-x:auto;">
+      <table>
+        <thead><tr><th>Ad</th><th>Spend</th><th>Demos</th><th>CPD</th><th>CTR</th><th>Freq</th><th>CTR Launch → Last ${CONFIG.creatives.recentDays}d</th><th>Status</th></tr></thead>
+        <tbody>${creativeRows}</tbody>
+      </table>
+    </div>
+    <div style="font-size:12px; opacity:0.6; margin-top:8px;">Fatigued when CTR over the last ${CONFIG.creatives.recentDays} days is more than ${Math.round(CONFIG.creatives.fatigueDrop * 100)}% below the ad's first ${CONFIG.creatives.launchDays} delivering days. Frequency is average daily impressions per member reached.</div>
+  </div>` : ''}
+
+  <!-- BUDGET REALLOCATION -->
+  <div class="section">
+    <h2>Budget Reallocation (Rest of Month)</h2>
+    ${reallocationHtml}
+  </div>
+
   <!-- CROSS-CHANNEL COMPARISON -->
   <div class="section">
-    <h2>Cross-Channel CPD Comparison (30d)</h2>
+    <h2>Cross-Channel CPD Comparison (${span})</h2>
+    <div class="filter-bar js-only" data-filter-for="channel-table">
+      <input type="search" placeholder="Filter channels…" aria-label="Filter channels"/>
+      <span class="filter-count"></span>
+    </div>
+    <div style="overflow-x:auto;">
+      <table class="sortable" id="channel-table">
+        <thead><tr><th>Channel</th><th>Spend</th><th>Demos</th><th title="Share of all-channel spend">Spend %</th><th title="Share of all-channel demos">Demo %</th><th>CPD</th><th title="Median ${span} CPD over earlier runs in the last ${HISTORY_DAYS} days">${HISTORY_DAYS}d Benchmark</th><th>CTR</th><th>CPM</th></tr></thead>
+        <tbody>${channelCompRows || '<tr><td colspan="9" style="opacity:0.5;">No channel data</td></tr>'}</tbody>
+      </table>
+    </div>
+    <div class="kpi-sub" style="margin-top:12px;">Blended: ${fmt$(channelComparison.blended.spend)} spend · ${channelComparison.blended.demos} demos · CPD ${channelComparison.blended.cpd > 0 ? fmt$(channelComparison.blended.cpd) : '-'} · benchmark = median ${span} CPD over earlier runs in the last ${HISTORY_DAYS} days (needs ${CONFIG.channels.benchmarkMinRuns})</div>
+  </div>
+
+  <!-- REVENUE ATTRIBUTION -->
+  <div class="section">
+    <h2>Revenue Attribution (Closed Won, ${span})</h2>
     <div style="overflow-x:auto;">
       <table>
-        <thead><tr><th>Channel</th><th>Spend</th><th>Demos</th><th>CPD</th><th>CTR</th><th>CPM</th></tr></thead>
-        <tbody>${channelCompRows || '<tr><td colspan="6" style="opacity:0.5;">No channel data</td></tr>'}</tbody>
+        <thead><tr><th>Campaign</th><th>Spend</th><th>Deals</th><th>MRR</th><th>ROAS</th><th>CAC</th><th>Payback</th></tr></thead>
+        <tbody>${revenueRows}</tbody>
       </table>
     </div>
+    <div class="kpi-sub" style="margin-top:12px;">By originating source: ${revenueSourceHtml || 'no closed-won deals'}</div>
+    <div class="kpi-sub">Deals credit the earliest demo booked within ${CONFIG.revenue.lookbackDays} days before close · campaign spend covers that lookback too · ROAS = ${CONFIG.revenue.roasMonths} months of MRR ÷ spend · payback at ${fmtPct(CONFIG.revenue.grossMargin)} gross margin</div>
   </div>
 
   <!-- DISQUAL BREAKDOWN + PIPELINE -->
   <div class="two-col">
     <div class="section">
-      <h2>Disqualification Breakdown (30d)</h2>
+      <h2>Disqualification Breakdown (${span}, All Channels)</h2>
       <div style="margin-top:8px;">${dqHtml}</div>
     </div>
     <div class="section">
-      <h2>Pipeline Health (30d)</h2>
+      <h2>Pipeline Health (${span})</h2>
       <table>
+        <thead><tr><th></th><th>LinkedIn-Sourced</th><th>All Channels</th></tr></thead>
         <tbody>
-          <tr><td>Demos Booked</td><td><strong>${p30.demosBooked}</strong></td></tr>
-          <tr><td>Demos Happened</td><td><strong>${p30.demosHappened}</strong></td></tr>
-          <tr><td>No Shows</td><td>${p30.noShow}</td></tr>
-          <tr><td>Cancelled</td><td>${p30.cancelled}</td></tr>
-          <tr><td>Disqualified</td><td style="color:${p30.disqualRate > DISQUAL_WARN_THRESHOLD ? '#F59E0B':'#fff'}">${p30.disqualified} (${fmtPct(p30.disqualRate)})</td></tr>
-          <tr><td>Closed Won</td><td><strong>${p30.closedWon}</strong></td></tr>
-          <tr><td>MRR (Closed Won)</td><td><strong>${fmt$(p30.mrr)}</strong></td></tr>
+          <tr><td>Demos Booked</td><td><strong>${lp30.demosBooked}</strong></td><td>${p30.demosBooked}</td></tr>
+          <tr><td>Pending</td><td>${lp30.pending}</td><td>${p30.pending}</td></tr>
+          <tr><td>Demos Happened</td><td><strong>${lp30.demosHappened}</strong></td><td>${p30.demosHappened}</td></tr>
+          <tr><td>No Shows</td><td>${lp30.noShow}</td><td>${p30.noShow}</td></tr>
+          <tr><td>Cancelled</td><td>${lp30.cancelled}</td><td>${p30.cancelled}</td></tr>
+          <tr><td>Disqualified</td><td style="color:${lp30.disqualRate > DISQUAL_WARN_THRESHOLD ? '#F59E0B':'#fff'}">${lp30.disqualified} (${fmtPct(lp30.disqualRate)})</td><td>${p30.disqualified} (${fmtPct(p30.disqualRate)})</td></tr>
+          <tr><td>Closed Won</td><td><strong>${lp30.closedWon}</strong></td><td>${p30.closedWon}</td></tr>
+          <tr><td>MRR (Closed Won)</td><td><strong>${fmt$(lp30.mrr)}</strong></td><td>${fmt$(p30.mrr)}</td></tr>
         </tbody>
       </table>
+      <h3 style="margin-top:20px;">Demos by Source</h3>
+      <table>
+        <thead><tr><th>Source</th><th>Booked</th><th>Share</th><th>Disqual Rate</th></tr></thead>
+        <tbody>${sourceMixRows || '<tr><td colspan="4" style="opacity:0.5;">No demos booked</td></tr>'}</tbody>
+      </table>
+    </div>
+  </div>
+
+  <!-- DEMO COHORTS -->
+  <div class="section">
+    <h2>Demo Cohorts (LinkedIn-Sourced, by Booking Week)</h2>
+    <div class="kpi-sub" style="margin:-8px 0 12px;">Show and disqual rates count only demos whose date has passed · W<i>n</i> = cumulative share of the cohort that showed by week <i>n</i> after booking</div>
+    <div style="overflow-x:auto;">
+      <table>
+        <thead><tr><th>Week of</th><th>Booked</th><th>Pending</th><th>Show</th><th>Disqual</th><th>Won</th>${cohorts.map((_, k) => `<th>W${k}</th>`).join('')}</tr></thead>
+        <tbody>${cohortRows || '<tr><td colspan="6" style="opacity:0.5;">No LinkedIn-sourced demos</td></tr>'}</tbody>
+      </table>
     </div>
   </div>
 
+  <!-- LINKEDIN FUNNEL -->
+  <div class="section">
+    <h2>LinkedIn Funnel (${span})</h2>
+    <div class="kpi-sub" style="margin:-8px 0 12px;">Site steps from GA4 ${funnel30.trafficScope === 'linkedin' ? 'LinkedIn-attributed sessions' : 'all traffic (GA4 attributes no sessions to LinkedIn)'} · conversion is from the previous step</div>
+    <table>
+      <thead><tr><th>Step</th><th>Count</th><th>Conversion</th><th>Prior ${span}</th><th>Change</th></tr></thead>
+      <tbody>${funnelRows}</tbody>
+    </table>
+    ${funnel30.worst ? `<div class="intel-item warning" style="margin-top:12px;">Biggest drop-off: ${funnel30.worst.from} → ${funnel30.worst.label} (${funnel30.worst.area}) — ${escHtml(funnel30.worst.fix)}</div>` : ''}
+  </div>
+
   <!-- AUDIENCE PLAYBOOK -->
   <div class="section">
     <h2>Audience & Targeting Playbook</h2>
+    <div style="font-size:12px; opacity:0.6; margin-bottom:12px;">${escHtml(audiencePlaybook.source)}</div>
     <div class="three-col">
       <div>
         <h3>Recommended Exclusions</h3>
@@ -883,60 +3828,254 @@ function buildDashboard({ liData, allChannels, pipelines, intelligence, campaign
   </div>
 
 </div>
-<footer>FrontrowMD · Agent 4 LinkedIn Optimizer · ${new Date().toLocaleDateString('en-US',{month:'long',year:'numeric'})}</footer>
+<footer>FrontrowMD · Agent 4 LinkedIn Optimizer · ${now.toLocaleDateString('en-US',{month:'long',year:'numeric'})}</footer>
+<script>${DASHBOARD_SCRIPT}</script>
 </body>
 </html>`;
 }
 
+// ─── DATA EXPORTS ──────────────────────────────────────────────────────────────
+// --format json is for other agents: every computed metric, shaped as documented
+// in linkedin_optimizer.schema.json. Adding an optional field keeps the version;
+// renaming, removing or retyping one bumps EXPORT_SCHEMA_VERSION.
+
+function buildJsonExport({ windows, liData, allChannels, pipelines, liPipelines, campaigns30, intelligence, alertStatus, campaignRecs, now }) {
+  // Alerts and warnings carry their run-to-run status (see trackAlerts)
+  const tracked = list => list.map(({ id, text }) => {
+    const { status, days, snoozedUntil } = alertStatus.byId[id];
+    return { id, text, status, days, snoozedUntil };
+  });
+  return {
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    generatedAt: now.toISOString(),
+    date: toDateStr(now),
+    windows,
+    liData,
+    allChannels,
+    pipelines,
+    liPipelines,
+    campaigns30,
+    intelligence: {
+      alerts: tracked(intelligence.alerts),
+      warnings: tracked(intelligence.warnings),
+      opportunities: intelligence.opportunities.map(({ id, text }) => ({ id, text })),
+      wins: intelligence.wins.map(({ id, text }) => ({ id, text })),
+      resolved: alertStatus.resolved,
+    },
+    campaignRecs,
+  };
+}
+
+// columns: [[header, row => value], ...]. Money is rounded to cents and rates to
+// 4 places; blank cells are missing or unbounded values.
+function toCsv(columns, rows) {
+  const lines = [columns.map(([header]) => header), ...rows.map(r => columns.map(([, get]) => get(r)))];
+  return lines.map(cells => cells.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function csvMoney(v) { return Number.isFinite(v) ? Math.round(v * 100) / 100 : null; }
+function csvRate(v) { return Number.isFinite(v) ? Math.round(v * 10000) / 10000 : null; }
+
+// --format csv: flat tables for the BI spreadsheet, one file per key
+function buildCsvExports({ windows, pipelines, liPipelines, campaigns30, campaignQuality30, cpdIntervals, campaignRecs, channelComparison }) {
+  const windowCols = [['window_from', () => windows.d30.from], ['window_to', () => windows.d30.to]];
+
+  const actions = {};
+  campaignRecs.filter(r => r.campaign).forEach(r => { (actions[r.campaign] = actions[r.campaign] || []).push(r.type || r.severity); });
+  const campaignRows = Object.entries(campaigns30)
+    .sort((a, b) => b[1].spend - a[1].spend)
+    .map(([name, c]) => ({ name, c, q: campaignQuality30.campaigns[name] || null, ci: cpdIntervals[name] }));
+  const campaigns = toCsv([
+    ...windowCols,
+    ['campaign', r => r.name],
+    ['spend', r => csvMoney(r.c.spend)],
+    ['impressions', r => r.c.impressions],
+    ['clicks', r => r.c.clicks],
+    ['ctr', r => csvRate(r.c.ctr)],
+    ['cpm', r => csvMoney(r.c.cpm)],
+    ['cpc', r => csvMoney(r.c.cpc)],
+    ['demos', r => r.c.demos],
+    ['cpd', r => (r.c.cpd > 0 ? csvMoney(r.c.cpd) : null)],
+    ['cpd_low', r => csvMoney(r.ci.booked?.low)],
+    ['cpd_high', r => csvMoney(r.ci.booked?.high)],
+    ['cpd_target', r => csvMoney(cpdTargetFor(r.name))],
+    ['matched_demos', r => r.q?.matched],
+    ['show_rate', r => (r.q ? csvRate(r.q.showRate) : null)],
+    ['disqual_rate', r => (r.q ? csvRate(r.q.disqualRate) : null)],
+    ['qualified_demos', r => r.q?.qualified],
+    ['qualified_cpd', r => (r.q?.qualifiedCpd > 0 ? csvMoney(r.q.qualifiedCpd) : null)],
+    ['qualified_cpd_low', r => csvMoney(r.ci.qualified?.low)],
+    ['qualified_cpd_high', r => csvMoney(r.ci.qualified?.high)],
+    ['actions', r => (actions[r.name] || []).join(';')],
+  ], campaignRows);
+
+  const channels = toCsv([
+    ...windowCols,
+    ['channel', ch => ch.ds],
+    ['label', ch => ch.label],
+    ['spend', ch => csvMoney(ch.spend)],
+    ['spend_share', ch => csvRate(ch.spendShare)],
+    ['impressions', ch => ch.impressions],
+    ['clicks', ch => ch.clicks],
+    ['ctr', ch => csvRate(ch.ctr)],
+    ['cpm', ch => csvMoney(ch.cpm)],
+    ['cpc', ch => csvMoney(ch.cpc)],
+    ['demos', ch => ch.demos],
+    ['demo_share', ch => csvRate(ch.demoShare)],
+    ['cpd', ch => (ch.cpd > 0 ? csvMoney(ch.cpd) : null)],
+    ['benchmark_cpd', ch => csvMoney(ch.benchmark?.cpd)],
+    ['benchmark_runs', ch => ch.benchmark?.runs],
+  ], channelComparison.rows);
+
+  // Reasons across all demos and LinkedIn-sourced demos; shares are of each set's disqualified demos
+  const all = pipelines.d30;
+  const li = liPipelines.d30;
+  const reasons = [...new Set([...Object.keys(all.disqualReasons), ...Object.keys(li.disqualReasons)])]
+    .sort((a, b) => (all.disqualReasons[b] || 0) - (all.disqualReasons[a] || 0) || a.localeCompare(b));
+  const disqualReasons = toCsv([
+    ...windowCols,
+    ['reason', r => r],
+    ['linkedin', r => li.disqualReasons[r] || 0],
+    ['linkedin_share', r => csvRate(li.disqualified > 0 ? (li.disqualReasons[r] || 0) / li.disqualified : 0)],
+    ['all', r => all.disqualReasons[r] || 0],
+    ['all_share', r => csvRate(all.disqualified > 0 ? (all.disqualReasons[r] || 0) / all.disqualified : 0)],
+  ], reasons);
+
+  return { campaigns, channels, 'disqual-reasons': disqualReasons };
+}
+
 // ─── DELIVERY ─────────────────────────────────────────────────────────────────
 
-async function postToSlack(message) {
+// Sinks that errored this run; any entry makes the process exit with EXIT_FAILED
+const deliveryErrors = [];
+
+async function postToSlack(payload) {
   if (!SLACK_WEBHOOK) { console.warn('⚠️  SLACK_WEBHOOK not set — skipping Slack.'); return; }
   try {
     const res = await fetch(SLACK_WEBHOOK, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ text: message }),
+      body: JSON.stringify(payload),
     });
     if (!res.ok) throw new Error(`Slack HTTP ${res.status}`);
     console.log('✅ Slack posted');
-  } catch (e) { console.error('Slack error:', e.message); }
+  } catch (e) { console.error('Slack error:', e.message); deliveryErrors.push('Slack'); }
 }
 
-async function sendEmail(htmlContent, txtContent, dashboardUrl) {
+async function sendEmail(htmlContent, txtContent, dashboardUrl, now = new Date(), alertStatus = null) {
   if (!EMAIL_FROM || !EMAIL_PASS || !EMAIL_TO) { console.warn('⚠️  Email not configured — skipping.'); return; }
   const transporter = nodemailer.createTransport({ service: 'gmail', auth: { user: EMAIL_FROM, pass: EMAIL_PASS } });
-  const date = new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  const date = now.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  const changes = alertStatus && [
+    alertStatus.new.length > 0 ? `${alertStatus.new.length} new` : '',
+    alertStatus.escalated.length > 0 ? `${alertStatus.escalated.length} escalated` : '',
+    alertStatus.resolved.length > 0 ? `${alertStatus.resolved.length} resolved` : '',
+  ].filter(Boolean).join(', ');
   const urlLine = dashboardUrl ? `<p style="font-family:sans-serif;margin:16px 0;"><a href="${dashboardUrl}" style="color:#72A4BF;">View Full Dashboard →</a></p>` : '';
   const emailHtml = urlLine + htmlContent;
   try {
     await transporter.sendMail({
       from: EMAIL_FROM,
       to: EMAIL_TO,
-      subject: `FrontrowMD LinkedIn Optimizer — ${date}`,
+      subject: `FrontrowMD LinkedIn Optimizer — ${date}${changes ? ` · Alerts: ${changes}` : ''}`,
       html: emailHtml,
       text: txtContent + (dashboardUrl ? `\n\nView Full Dashboard: ${dashboardUrl}` : ''),
       attachments: [{ filename: `linkedin-optimizer-${date.replace(/\s/g,'-')}.html`, content: htmlContent, contentType: 'text/html' }],
     });
     console.log('✅ Email sent');
-  } catch (e) { console.error('Email error:', e.message); }
+  } catch (e) { console.error('Email error:', e.message); deliveryErrors.push('email'); }
 }
 
-async function deployToGitHub(htmlContent) {
+// GitHub Pages layout: every run is kept at reports/YYYY-MM-DD/index.html
+// (custom --from/--to windows at reports/FROM_TO/), index.html is the newest daily
+// run, and reports/index.html lists them all from the reports/index.json manifest.
+// All files land in one commit via the Git data API.
+async function deployToGitHub(htmlContent, headline, now = new Date(), range = null) {
   if (!GITHUB_TOKEN || !GITHUB_OWNER || !GITHUB_REPO) { console.warn('⚠️  GitHub not configured — skipping.'); return null; }
-  const url = `https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/index.html`;
+  const api = `https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}`;
   const pagesUrl = `https://${GITHUB_OWNER}.github.io/${GITHUB_REPO}/`;
+  const headers = { Authorization: `token ${GITHUB_TOKEN}`, Accept: 'application/vnd.github.v3+json', 'Content-Type': 'application/json' };
+  const gh = async (method, pathname, body) => {
+    const res = await fetch(`${api}${pathname}`, { method, headers, ...(body ? { body: JSON.stringify(body) } : {}) });
+    if (!res.ok) throw new Error(`GitHub ${method} ${pathname} ${res.status}`);
+    return res.json();
+  };
+  const date = toDateStr(now);
+  // The manifest entry's path is its key: a rerun replaces the entry for the same day or window
+  const dir = range ? `${range.from}_${range.to}` : date;
+  const reportPath = `reports/${dir}/index.html`;
   try {
-    let sha;
-    const getRes = await fetch(url, { headers: { Authorization: `token ${GITHUB_TOKEN}`, Accept: 'application/vnd.github.v3+json' } });
-    if (getRes.ok) { const d = await getRes.json(); sha = d.sha; }
-    const body = { message: `LinkedIn optimizer update ${toDateStr(new Date())}`, content: Buffer.from(htmlContent).toString('base64'), ...(sha ? { sha } : {}) };
-    const putRes = await fetch(url, { method: 'PUT', headers: { Authorization: `token ${GITHUB_TOKEN}`, Accept: 'application/vnd.github.v3+json', 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
-    if (!putRes.ok) throw new Error(`GitHub PUT ${putRes.status}`);
-    console.log(`✅ Dashboard deployed: ${pagesUrl}`);
-    return pagesUrl;
-  } catch (e) { console.error('GitHub error:', e.message); return null; }
+    const { default_branch: branch } = await gh('GET', '');
+    const ref = await gh('GET', `/git/ref/heads/${branch}`);
+    const parent = await gh('GET', `/git/commits/${ref.object.sha}`);
+
+    // Manifest of earlier runs; a missing one starts the archive
+    let manifest = [];
+    const manifestRes = await fetch(`${api}/contents/reports/index.json?ref=${encodeURIComponent(branch)}`, { headers });
+    if (manifestRes.ok) {
+      try { manifest = JSON.parse(Buffer.from((await manifestRes.json()).content, 'base64').toString('utf8')); } catch { manifest = []; }
+    }
+    manifest = [...manifest.filter(r => r.path !== `${dir}/`), { date, path: `${dir}/`, ...(range ? { range } : {}), ...headline }]
+      .sort((a, b) => b.date.localeCompare(a.date) || a.path.localeCompare(b.path));
+    // A custom window or an --as-of rerun of an earlier day never replaces the latest dashboard
+    const isLatest = !range && !manifest.some(r => !r.range && r.date > date);
+
+    const files = {
+      [reportPath]: htmlContent,
+      ...(isLatest ? { 'index.html': htmlContent } : {}),
+      'reports/index.json': JSON.stringify(manifest, null, 2) + '\n',
+      'reports/index.html': buildArchivePage(manifest, now),
+    };
+    const tree = await gh('POST', '/git/trees', {
+      base_tree: parent.tree.sha,
+      tree: Object.entries(files).map(([p, content]) => ({ path: p, mode: '100644', type: 'blob', content })),
+    });
+    const commit = await gh('POST', '/git/commits', { message: `LinkedIn optimizer report ${range ? `${range.from} → ${range.to}` : date}`, tree: tree.sha, parents: [parent.sha] });
+    await gh('PATCH', `/git/refs/heads/${branch}`, { sha: commit.sha });
+
+    const reportUrl = `${pagesUrl}reports/${dir}/`;
+    console.log(`✅ Dashboard deployed: ${reportUrl} (${isLatest ? 'also as latest' : 'latest left as is'}: ${pagesUrl}, archive: ${pagesUrl}reports/)`);
+    return reportUrl;
+  } catch (e) { console.error('GitHub error:', e.message); deliveryErrors.push('GitHub'); return null; }
 }
+
+// Archive page for GitHub Pages: one row per published run, newest first
+function buildArchivePage(manifest, now = new Date()) {
+  const rows = manifest.map(r => `<tr>
+      <td><a href="${r.path}">${r.range ? 'Custom window' : r.date}</a></td>
+      <td>${r.window ? `${r.window.from} → ${r.window.to}` : '-'}</td>
+      <td>${fmt$(r.spend || 0)}</td>
+      <td>${r.demos ?? '-'}</td>
+      <td style="color:${r.cpd > CPD_TARGET ? '#EF4444' : '#22C55E'};">${r.cpd > 0 ? fmt$(r.cpd) : '-'}</td>
+      <td>${r.disqualRate != null ? fmtPct(r.disqualRate) : '-'}</td>
+      <td>${r.alerts ?? '-'} / ${r.warnings ?? '-'}</td>
+    </tr>`).join('');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8"/>
+<meta name="viewport" content="width=device-width, initial-scale=1.0"/>
+<title>FrontrowMD — LinkedIn Optimizer Archive</title>
+<style>
+  body{font-family:Georgia,serif; background:#020F18; color:#fff; margin:0; padding:32px 40px;}
+  h1{font-size:22px; font-weight:normal; margin-bottom:6px;}
+  .sub{font-size:13px; opacity:0.65; margin-bottom:24px;}
+  a{color:#72A4BF;}
+  table{width:100%; max-width:1100px; border-collapse:collapse; font-size:13px;}
+  th{color:#72A4BF; text-align:left; padding:8px 10px; border-bottom:1px solid rgba(114,164,191,0.3); font-weight:normal; text-transform:uppercase; letter-spacing:0.04em; font-size:11px;}
+  td{padding:9px 10px; border-bottom:1px solid rgba(114,164,191,0.1);}
+  @media print{body{background:#fff; color:#000;} a{color:#000;}}
+</style>
+</head>
+<body>
+  <h1>☤ frontrowMD — LinkedIn Optimizer Reports</h1>
+  <div class="sub"><a href="../">Latest dashboard</a> · ${manifest.length} report${manifest.length === 1 ? '' : 's'} · updated ${toDateStr(now)}</div>
+  <table>
+    <thead><tr><th>Report</th><th>Window</th><th>LI Spend</th><th>LI Demos</th><th>LI CPD</th><th>LI Disqual</th><th>Alerts / Warnings</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>
+</body>
+</html>`;
 }
 
 // ─── UTILITIES ────────────────────────────────────────────────────────────────
@@ -948,6 +4087,14 @@ function fmtPct(n) { return (n * 100).toFixed(2) + '%'; }
 function fmtNum(n) { return n.toLocaleString('en-US'); }
 function padStr(s, len) { return String(s).padEnd(len); }
 function escHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); }
+// escHtml is also Slack's escaping, which has no &quot; — quote attribute values with this instead
+function escAttr(s) { return escHtml(s).replace(/"/g, '&quot;'); }
+// Strings a spreadsheet would evaluate as a formula (=, +, -, @) get a leading '
+function csvCell(v) {
+  if (v === null || v === undefined || (typeof v === 'number' && !Number.isFinite(v))) return '';
+  const s = typeof v === 'string' && /^[=+\-@\t\r]/.test(v) ? `'${v}` : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
 
 // Summarize Windsor rows into totals
 function summarizeWindsor(rows) {
@@ -967,96 +4114,246 @@ function summarizeWindsor(rows) {
 
 // ─── MAIN ─────────────────────────────────────────────────────────────────────
 
-async function main() {
+async function main(cli) {
   console.log('🔗 FrontrowMD LinkedIn Campaign Optimizer starting...\n');
 
-  if (!WINDSOR_API_KEY) { console.error('❌ WINDSOR_API_KEY not set in .env'); process.exit(1); }
-  if (!HUBSPOT_TOKEN) { console.error('❌ HUBSPOT_TOKEN not set in .env'); process.exit(1); }
+  if (FIXTURE_MODE === 'replay' && (cli.asOf || cli.range)) {
+    console.error('❌ --as-of/--from/--to can\'t be used in replay mode — the recorded run date and window are replayed');
+    process.exit(EXIT_FAILED);
+  }
+  // --as-of reruns a past day; with --from/--to the run happens "the day after --to"
+  const runTime = cli.asOf ? new Date(`${cli.asOf}T12:00:00.000Z`)
+    : cli.range ? addDays(new Date(`${cli.range.to}T12:00:00.000Z`), 1)
+    : new Date();
+  const now = openFixtures(runTime, cli.range);
+  const replay = fixtures.mode === 'replay';
+  const range = replay ? fixtures.range : cli.range;
+  if (fixtures.mode) console.log(`🎞️  Fixture mode: ${fixtures.mode} (${fixtures.dir})`);
+  if (replay) console.log(`   Frozen run time: ${now.toISOString()}\n`);
+  else if (cli.asOf || range) console.log(`⏪ Historical run as of ${toDateStr(now)}\n`);
+  if (cli.dryRun) console.log('🧪 Dry run — outputs are built but nothing is delivered.\n');
+
+  if (!replay && !WINDSOR_API_KEY) { console.error('❌ WINDSOR_API_KEY not set in .env'); process.exit(EXIT_FAILED); }
+  if (!replay && !HUBSPOT_TOKEN) { console.error('❌ HUBSPOT_TOKEN not set in .env'); process.exit(EXIT_FAILED); }
 
-  const windows = getWindows();
+  const windows = getWindows(now, range);
   console.log(`📅 Date windows:`);
   console.log(`   Yesterday:  ${windows.yesterday.from}`);
   console.log(`   7-Day:      ${windows.d7.from} → ${windows.d7.to}`);
-  console.log(`   30-Day:     ${windows.d30.from} → ${windows.d30.to}`);
-  console.log(`   Prior Mo:   ${windows.prevMonth.from} → ${windows.prevMonth.to}\n`);
+  console.log(`   Primary:    ${windows.d30.from} → ${windows.d30.to} (${windows.d30.days} days)`);
+  console.log(`   MTD:        ${windows.mtd.from} → ${windows.mtd.to}`);
+  console.log(`   Prior Mo:   ${windows.prevMonth.from} → ${windows.prevMonth.to}`);
+  console.log(`   Prior 7d:   ${windows.prev7.from} → ${windows.prev7.to}`);
+  console.log(`   Prior:      ${windows.prev30.from} → ${windows.prev30.to}`);
+  console.log(`   Prior MTD:  ${windows.prevMtd.from} → ${windows.prevMtd.to}\n`);
 
   // ── FETCH DATA IN PARALLEL ──
   console.log('📡 Fetching Windsor.ai data...');
-  const [liRows7, liRows30, liRowsPrev, allRows30] = await Promise.all([
+  // On the 1st there is no completed day in the month yet
+  const hasMtd = windows.mtd.from <= windows.mtd.to;
+  const creativeFrom = toDateStr(addDays(new Date(`${windows.d30.to}T00:00:00.000Z`), -(Math.max(CONFIG.creatives.lifetimeDays, windows.d30.days) - 1)));
+  const lookbackFrom = w => toDateStr(addDays(new Date(`${w.from}T00:00:00.000Z`), -CONFIG.revenue.lookbackDays));
+  const [liRows7, liRows30, liRowsPrev, liRowsMtd, liRowsPrev7, liRowsPrev30, liRowsPrevMtd, allRows30, creativeRows, ga4_30, ga4Prev30, liRowsRevenue30, liRowsRevenuePrev30] = await Promise.all([
     fetchLinkedInData(windows.d7.from, windows.d7.to),
     fetchLinkedInData(windows.d30.from, windows.d30.to),
     fetchLinkedInData(windows.prevMonth.from, windows.prevMonth.to),
+    hasMtd ? fetchLinkedInData(windows.mtd.from, windows.mtd.to) : [],
+    fetchLinkedInData(windows.prev7.from, windows.prev7.to),
+    fetchLinkedInData(windows.prev30.from, windows.prev30.to),
+    hasMtd ? fetchLinkedInData(windows.prevMtd.from, windows.prevMtd.to) : [],
     fetchAllChannelData(windows.d30.from, windows.d30.to),
+    fetchLinkedInCreativeData(creativeFrom, windows.d30.to),
+    fetchGA4(windows.d30.from, windows.d30.to),
+    fetchGA4(windows.prev30.from, windows.prev30.to),
+    fetchLinkedInData(lookbackFrom(windows.d30), windows.d30.to),
+    fetchLinkedInData(lookbackFrom(windows.prev30), windows.prev30.to),
   ]);
-  console.log(`   LinkedIn rows: 7d=${liRows7.length}, 30d=${liRows30.length}, prev=${liRowsPrev.length}`);
+  console.log(`   LinkedIn rows: 7d=${liRows7.length}, 30d=${liRows30.length}, prev=${liRowsPrev.length}, mtd=${liRowsMtd.length}`);
+  console.log(`   Prior-period rows: 7d=${liRowsPrev7.length}, 30d=${liRowsPrev30.length}, mtd=${liRowsPrevMtd.length}`);
   console.log(`   All channel rows: ${allRows30.length}`);
+  console.log(`   LinkedIn ad rows (${creativeFrom} → ${windows.d30.to}): ${creativeRows.length}`);
+  console.log(`   LinkedIn rows for revenue attribution (${lookbackFrom(windows.d30)} → ${windows.d30.to}): ${liRowsRevenue30.length}`);
+  console.log(`   GA4 sessions: ${ga4_30.all.sessions || 0} (LinkedIn ${ga4_30.linkedin.sessions || 0})`);
 
   // ── AGGREGATE LINKEDIN ──
   const liData = {
     d7:        summarizeWindsor(liRows7),
     d30:       summarizeWindsor(liRows30),
     prevMonth: summarizeWindsor(liRowsPrev),
+    mtd:       summarizeWindsor(liRowsMtd),
+    prev7:     summarizeWindsor(liRowsPrev7),
+    prev30:    summarizeWindsor(liRowsPrev30),
+    prevMtd:   summarizeWindsor(liRowsPrevMtd),
   };
   const campaigns30 = aggregateByCampaign(liRows30);
+  const naming30 = buildNamingRollups(campaigns30);
+  const creatives30 = buildCreativePerformance(creativeRows, windows.d30);
+  const dailySeries = buildDailySeries(liRows30);
+  const anomalies = detectAnomalies(dailySeries, windows.yesterday.from);
   const allChannels = { d30: aggregateChannels(allRows30) };
 
   // Budget pacing
-  const now = new Date();
-  const daysInMonth = new Date(now.getUTCFullYear(), now.getUTCMonth() + 1, 0).getUTCDate();
-  const dayOfMonth = now.getUTCDate();
-  const expectedPace = dayOfMonth / daysInMonth;
-  const budgetPaced = LI_MONTHLY_BUDGET > 0 ? liData.d30.spend / LI_MONTHLY_BUDGET : 0; // rough proxy
+  const pacing = buildBudgetPacing({ mtdSpend: liData.mtd.spend, d7Spend: liData.d7.spend, now, budget: LI_MONTHLY_BUDGET });
 
   console.log(`   LinkedIn 30d: Spend=${fmt$(liData.d30.spend)}, Demos=${liData.d30.demos}, CPD=${fmt$(liData.d30.cpd)}`);
+  console.log(`   LinkedIn MTD: Spend=${fmt$(pacing.mtdSpend)} vs expected ${fmt$(pacing.expectedToDate)}, projected month-end ${fmt$(pacing.projectedSpend)}`);
 
   // ── FETCH HUBSPOT ──
   console.log('📡 Fetching HubSpot CRM data...');
-  const wideFrom = windows.prevMonth.from;
+  // Cohorts start on the Monday of the oldest booking week shown
+  const cohortFrom = toDateStr(weekStart(addDays(new Date(`${windows.d30.to}T00:00:00.000Z`), -7 * (CONFIG.cohorts.weeks - 1))));
+  const wideFrom = [windows.prevMonth.from, windows.prev30.from, cohortFrom].sort()[0];
   const wideTo = windows.d30.to;
   const rawHubSpot = await fetchAllHubSpotData(wideFrom, wideTo);
   console.log(`   Contacts: ${rawHubSpot.contacts.length}, Deals: ${rawHubSpot.deals.length}`);
 
+  const slices = {
+    d7:        sliceWindow(rawHubSpot, windows.d7.from, windows.d7.to),
+    d30:       sliceWindow(rawHubSpot, windows.d30.from, windows.d30.to),
+    prevMonth: sliceWindow(rawHubSpot, windows.prevMonth.from, windows.prevMonth.to),
+    prev7:     sliceWindow(rawHubSpot, windows.prev7.from, windows.prev7.to),
+    prev30:    sliceWindow(rawHubSpot, windows.prev30.from, windows.prev30.to),
+    cohorts:   sliceWindow(rawHubSpot, cohortFrom, windows.d30.to),
+  };
+  // Without a demo date, demos with no logged outcome stay pending and drop out of show/disqual rates
+  const demoDateProp = CONFIG.attribution.demoDateProperty;
+  if (slices.d30.contacts.length > 0 && !slices.d30.contacts.some(c => c.properties?.[demoDateProp])) {
+    console.warn(`⚠️  No demo in the primary window has HubSpot property "${demoDateProp}" (attribution.demoDateProperty) — demos without a logged outcome count as pending`);
+  }
+  // All-channel pipeline for context; LinkedIn-sourced pipeline drives the intelligence
   const pipelines = {
-    d7:        buildPipelineMetrics(sliceWindow(rawHubSpot, windows.d7.from, windows.d7.to)),
-    d30:       buildPipelineMetrics(sliceWindow(rawHubSpot, windows.d30.from, windows.d30.to)),
-    prevMonth: buildPipelineMetrics(sliceWindow(rawHubSpot, windows.prevMonth.from, windows.prevMonth.to)),
+    d7:        buildPipelineMetrics(slices.d7, now),
+    d30:       buildPipelineMetrics(slices.d30, now),
+    prevMonth: buildPipelineMetrics(slices.prevMonth, now),
+    prev7:     buildPipelineMetrics(slices.prev7, now),
+    prev30:    buildPipelineMetrics(slices.prev30, now),
   };
-  console.log(`   30d pipeline: Booked=${pipelines.d30.demosBooked}, Disqual=${pipelines.d30.disqualified} (${fmtPct(pipelines.d30.disqualRate)})`);
+  const liPipelines = {
+    d7:        buildPipelineMetrics(filterLinkedInSourced(slices.d7, rawHubSpot.dealContacts), now),
+    d30:       buildPipelineMetrics(filterLinkedInSourced(slices.d30, rawHubSpot.dealContacts), now),
+    prevMonth: buildPipelineMetrics(filterLinkedInSourced(slices.prevMonth, rawHubSpot.dealContacts), now),
+    prev7:     buildPipelineMetrics(filterLinkedInSourced(slices.prev7, rawHubSpot.dealContacts), now),
+    prev30:    buildPipelineMetrics(filterLinkedInSourced(slices.prev30, rawHubSpot.dealContacts), now),
+  };
+  const funnel30 = buildWebsiteFunnel({
+    li: liData.d30,
+    prevLi: liData.prev30,
+    ga4: ga4_30,
+    prevGa4: ga4Prev30,
+    pipeline: liPipelines.d30,
+    prevPipeline: liPipelines.prev30,
+  });
+  const lp30 = liPipelines.d30;
+  const forecast = buildMonthForecast({
+    series: dailySeries.account,
+    asOf: windows.d30.to,
+    windowDays: windows.d30.days,
+    mtd: liData.mtd,
+    pacing,
+    qualifiedRate: lp30.due > 0 ? lp30.qualified / lp30.due : 0,
+  });
+  console.log(`   Month-end forecast: Spend=${fmt$(forecast.spend.p50)}, Demos=${forecast.demos.p50} (${forecast.demos.p10}–${forecast.demos.p90}), CPD=${forecast.cpd.p50 ? fmt$(forecast.cpd.p50) : 'n/a'}`);
+  const cohorts = buildDemoCohorts(filterLinkedInSourced(slices.cohorts, rawHubSpot.dealContacts), rawHubSpot.dealContacts, { from: cohortFrom, now });
+  const sourceMix30 = buildSourceMix(slices.d30.contacts, now);
+  const campaignQuality30 = buildCampaignQuality(slices.d30.contacts, campaigns30, now);
+  const revenue30 = buildRevenueAttribution(slices.d30.deals, rawHubSpot.dealContacts, aggregateByCampaign(liRowsRevenue30), liData.d30.spend);
+  const revenuePrev30 = buildRevenueAttribution(slices.prev30.deals, rawHubSpot.dealContacts, aggregateByCampaign(liRowsRevenuePrev30), liData.prev30.spend);
+  console.log(`   30d pipeline (all): Booked=${pipelines.d30.demosBooked}, Pending=${pipelines.d30.pending}, Disqual=${pipelines.d30.disqualified} (${fmtPct(pipelines.d30.disqualRate)})`);
+  console.log(`   30d pipeline (LinkedIn): Booked=${liPipelines.d30.demosBooked}, Pending=${liPipelines.d30.pending}, Disqual=${liPipelines.d30.disqualified} (${fmtPct(liPipelines.d30.disqualRate)})`);
+  console.log(`   Closed won (30d): ${slices.d30.deals.length} deals, ${revenue30.linkedin.deals} LinkedIn-attributed (${fmt$(revenue30.linkedin.mrr)} MRR), ${revenue30.unattributed.deals} unattributed`);
+  console.log(`   Campaign matching: ${campaignQuality30.matchedContacts}/${campaignQuality30.linkedinContacts} LinkedIn-sourced demos matched`);
 
   // ── BUILD INTELLIGENCE ──
   console.log('🧠 Running intelligence engine...');
   const intelligence = buildLinkedInIntelligence({
     liData30: liData.d30,
+    liData7: liData.d7,
+    liDataPrev7: liData.prev7,
     allChannels30: allChannels.d30,
-    pipeline30: pipelines.d30,
-    pipelinePrevMonth: pipelines.prevMonth,
-    budgetPaced,
+    pipeline30: liPipelines.d30,
+    pipelinePrevMonth: liPipelines.prevMonth,
+    pacing,
+    anomalies,
+    campaignQuality: campaignQuality30,
+    naming: naming30,
+    funnel: funnel30,
+    forecast,
   });
+  console.log(`   Anomalies (${windows.yesterday.from}): ${anomalies.length}`);
   console.log(`   Alerts: ${intelligence.alerts.length}, Warnings: ${intelligence.warnings.length}, Opportunities: ${intelligence.opportunities.length}, Wins: ${intelligence.wins.length}`);
 
   // ── CAMPAIGN RECOMMENDATIONS ──
-  const campaignRecs = buildCampaignRecommendations(campaigns30, pipelines.d30);
-  const audiencePlaybook = buildAudiencePlaybook(pipelines.d30);
+  const cpdIntervals = buildCpdIntervals(campaigns30, campaignQuality30.campaigns);
+  const campaignRecs = buildCampaignRecommendations(campaigns30, pipelines.d30, campaignQuality30.campaigns, cpdIntervals, creatives30);
+  const flagged = Object.fromEntries(campaignRecs.filter(x => x.type === 'pause' || x.type === 'reduce').map(x => [x.campaign, x.type]));
+  const reallocation = buildBudgetReallocation(campaigns30, { days: windows.d30.days, dailyBudget: pacing.recommendedDaily, daysRemaining: pacing.daysRemaining, flagged });
+  const audience = buildAudienceExclusions(
+    filterLinkedInSourced({ contacts: rawHubSpot.contacts, deals: [] }).contacts,
+    rawHubSpot.contactCompanies,
+    { cpd: liData.d30.cpd, now },
+  );
+  const audiencePlaybook = buildAudiencePlaybook(liPipelines.d30, audience);
+
+  // ── ALERT STATE — what changed since the last run ──
+  const alertStatus = trackAlerts(intelligence, loadAlertState(), toDateStr(now));
+  // Back-dated runs report against the current state but never rewrite it
+  if (!replay && !cli.dryRun && !range && !cli.asOf) saveAlertState(alertStatus.state);
+  console.log(`   Alert changes: ${alertStatus.new.length} new, ${alertStatus.escalated.length} escalated, ${alertStatus.persisting.length} still open, ${alertStatus.resolved.length} resolved, ${alertStatus.snoozed.length} snoozed`);
+
+  // ── RUN HISTORY — this run's snapshot replaces any earlier one for the same date ──
+  const snapshot = buildHistorySnapshot({ windows, liData, allChannels, pipelines, liPipelines, intelligence, campaigns30, pacing, now });
+  const history = [...loadHistory(snapshot.date).filter(s => s.date !== snapshot.date), snapshot];
+  // A custom window isn't comparable with the daily 30-day snapshots, so it stays out of history
+  if (!replay && !cli.dryRun && !range) appendHistory(snapshot);
+  console.log(`   History: ${history.length} run(s) in the last ${HISTORY_DAYS} days`);
+  const channelComparison = buildChannelComparison(allChannels.d30, history.filter(s => s.date < snapshot.date));
 
   // ── BUILD OUTPUTS ──
   console.log('📄 Building report outputs...');
-  const txtReport = buildTextReport({ windows, liData, allChannels, pipelines, intelligence, campaignRecs, audiencePlaybook, campaigns30 });
-  const htmlDashboard = buildDashboard({ liData, allChannels, pipelines, intelligence, campaignRecs, audiencePlaybook, campaigns30, windows });
+  const txtReport = buildTextReport({ windows, liData, pipelines, liPipelines, sourceMix30, campaignQuality30, revenue30, revenuePrev30, intelligence, alertStatus, campaignRecs, reallocation, audiencePlaybook, campaigns30, cpdIntervals, naming30, creatives30, funnel30, channelComparison, cohorts, pacing, forecast, now });
+  const htmlDashboard = buildDashboard({ liData, pipelines, liPipelines, sourceMix30, campaignQuality30, revenue30, revenuePrev30, intelligence, alertStatus, campaignRecs, reallocation, audiencePlaybook, campaigns30, cpdIntervals, naming30, creatives30, funnel30, channelComparison, cohorts, pacing, forecast, dailySeries, history, anomalies, windows, now });
 
   // ── WRITE FILES ──
-  const dateStr = toDateStr(new Date());
-  const txtPath = path.join(__dirname, `linkedin-optimizer-${dateStr}.txt`);
-  const htmlPath = path.join(__dirname, `linkedin-optimizer-${dateStr}.html`);
-  fs.writeFileSync(txtPath, txtReport, 'utf8');
-  fs.writeFileSync(htmlPath, htmlDashboard, 'utf8');
-  console.log(`💾 Report saved: ${txtPath}`);
-  console.log(`💾 Dashboard saved: ${htmlPath}`);
+  const dateStr = toDateStr(now);
+  if (cli.sinks.has('files')) {
+    fs.mkdirSync(cli.outDir, { recursive: true });
+    // Each format builds a list of [kind, file name, content]
+    const base = `linkedin-optimizer-${dateStr}`;
+    const outputs = {
+      txt: () => [['Report', `${base}.txt`, txtReport]],
+      html: () => [['Dashboard', `${base}.html`, htmlDashboard]],
+      json: () => [['JSON export', `${base}.json`, JSON.stringify(buildJsonExport({ windows, liData, allChannels, pipelines, liPipelines, campaigns30, intelligence, alertStatus, campaignRecs, now }), null, 2) + '\n']],
+      csv: () => Object.entries(buildCsvExports({ windows, pipelines, liPipelines, campaigns30, campaignQuality30, cpdIntervals, campaignRecs, channelComparison }))
+        .map(([name, csv]) => ['CSV export', `${base}-${name}.csv`, csv]),
+    };
+    for (const format of cli.formats) {
+      for (const [kind, name, content] of outputs[format]()) {
+        const file = path.join(cli.outDir, name);
+        fs.writeFileSync(file, content, 'utf8');
+        console.log(`💾 ${kind} saved: ${file}`);
+      }
+    }
+  }
 
   // ── DELIVER — deploy first so URL is available for Slack/email ──
-  const dashboardUrl = await deployToGitHub(htmlDashboard);
-  const slackMsg = buildSlackSummary({ liData, pipelines, intelligence, windows, dashboardUrl });
-  await postToSlack(slackMsg);
-  await sendEmail(htmlDashboard, txtReport, dashboardUrl);
+  if (replay || cli.dryRun) {
+    console.log(`${replay ? '🎞️  Replay mode' : '🧪 Dry run'} — skipping GitHub, Slack and email delivery.`);
+  } else {
+    const headline = {
+      window: { from: windows.d30.from, to: windows.d30.to },
+      spend: liData.d30.spend,
+      demos: liData.d30.demos,
+      cpd: liData.d30.cpd,
+      disqualRate: liPipelines.d30.disqualRate,
+      alerts: intelligence.alerts.length,
+      warnings: intelligence.warnings.length,
+    };
+    const dashboardUrl = cli.sinks.has('github') ? await deployToGitHub(htmlDashboard, headline, now, range) : null;
+    if (cli.sinks.has('slack')) {
+      await postToSlack(buildSlackPayload({ liData, pipelines, liPipelines, revenue30, revenuePrev30, intelligence, alertStatus, campaignRecs, pacing, forecast, windows, dashboardUrl, now }));
+    }
+    if (cli.sinks.has('email')) await sendEmail(htmlDashboard, txtReport, dashboardUrl, now, alertStatus);
+  }
 
   console.log('\n✅ LinkedIn Optimizer complete!');
 
@@ -1065,16 +4362,29 @@ async function main() {
   console.log('SUMMARY');
   console.log('─'.repeat(60));
   console.log(`LinkedIn CPD (30d): ${fmt$(liData.d30.cpd)} vs target ${fmt$(CPD_TARGET)}`);
-  console.log(`Disqual Rate (30d): ${fmtPct(pipelines.d30.disqualRate)}`);
-  console.log(`Show Rate (30d):    ${fmtPct(pipelines.d30.showRate)}`);
+  console.log(`Disqual Rate (30d): ${fmtPct(liPipelines.d30.disqualRate)} LinkedIn / ${fmtPct(pipelines.d30.disqualRate)} all`);
+  console.log(`Show Rate (30d):    ${fmtPct(liPipelines.d30.showRate)} LinkedIn / ${fmtPct(pipelines.d30.showRate)} all`);
   console.log(`Campaigns tracked:  ${Object.keys(campaigns30).length}`);
   if (intelligence.alerts.length > 0) {
     console.log(`\n⚠️  ALERTS (${intelligence.alerts.length}):`);
-    intelligence.alerts.forEach(a => console.log(`  ${a}`));
+    intelligence.alerts.forEach(a => console.log(`  [${alertTag(alertStatus.byId[a.id])}] ${a.text}`));
+  }
+
+  if (deliveryErrors.length > 0) {
+    console.error(`\n❌ Delivery failed: ${deliveryErrors.join(', ')}`);
+    return EXIT_FAILED;
   }
+  return alertStatus.items.some(a => a.severity === 'alert' && a.status !== 'snoozed') ? EXIT_ALERTS : EXIT_CLEAN;
 }
 
-main().catch(err => {
-  console.error('❌ Fatal error:', err);
-  process.exit(1);
-});
+if (require.main === module) {
+  const cli = parseCli(process.argv.slice(2));
+  const run = cli.testRules ? Promise.resolve(testRules(cli.testRules)) : main(cli);
+  run.then(code => { process.exitCode = code; }).catch(err => {
+    console.error('❌ Fatal error:', err);
+    process.exit(EXIT_FAILED);
+  });
+}
+
+// Rule sets and engine, and alert state tracking, for test scripts
+module.exports = { INTELLIGENCE_RULES, CAMPAIGN_RULES, evaluateRule, runRules, testRules, loadAlertState, saveAlertState, trackAlerts };
@@ -0,0 +1,52 @@
+// Alert state tests: node --test linkedin_optimizer.test.js (part of npm test)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadAlertState, saveAlertState, trackAlerts } = require('./linkedin_optimizer');
+
+function tempStateFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'li-alerts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'alerts.json');
+}
+
+const intelligence = {
+  alerts: [{ id: 'cpd_target', text: 'CPD above target' }],
+  warnings: [{ id: 'ctr', text: 'CTR below benchmark' }],
+  opportunities: [],
+  wins: [],
+};
+
+test('saveAlertState refuses state older than the stored updatedAt', t => {
+  const file = tempStateFile(t);
+  const current = trackAlerts(intelligence, loadAlertState(file), '2026-10-19', {}).state;
+  assert.strictEqual(saveAlertState(current, file), true);
+
+  const backdated = trackAlerts({ ...intelligence, alerts: [] }, loadAlertState(file), '2026-10-10', {}).state;
+  assert.strictEqual(saveAlertState(backdated, file), false);
+  assert.deepStrictEqual(loadAlertState(file), { updatedAt: '2026-10-19', alerts: current.alerts });
+});
+
+test('saveAlertState writes state from the same day or later', t => {
+  const file = tempStateFile(t);
+  saveAlertState(trackAlerts(intelligence, loadAlertState(file), '2026-10-19', {}).state, file);
+  assert.strictEqual(saveAlertState(trackAlerts(intelligence, loadAlertState(file), '2026-10-19', {}).state, file), true);
+  assert.strictEqual(saveAlertState(trackAlerts(intelligence, loadAlertState(file), '2026-10-20', {}).state, file), true);
+  assert.strictEqual(loadAlertState(file).updatedAt, '2026-10-20');
+  assert.strictEqual(loadAlertState(file).alerts.cpd_target.firstSeen, '2026-10-19');
+});
+
+test('snoozes come from the config, not the state file', t => {
+  const file = tempStateFile(t);
+  fs.writeFileSync(file, JSON.stringify({ updatedAt: '2026-10-18', alerts: {}, snoozes: { ctr: '2026-12-31' } }));
+  const previous = loadAlertState(file);
+  assert.strictEqual(trackAlerts(intelligence, previous, '2026-10-19', {}).byId.ctr.status, 'new');
+
+  const status = trackAlerts(intelligence, previous, '2026-10-19', { ctr: '2026-10-19', cpd_target: '2026-10-18' });
+  assert.strictEqual(status.byId.ctr.status, 'snoozed');
+  assert.strictEqual(status.byId.ctr.snoozedUntil, '2026-10-19');
+  assert.strictEqual(status.byId.cpd_target.status, 'new');
+  assert.deepStrictEqual(Object.keys(status.state), ['updatedAt', 'alerts']);
+});